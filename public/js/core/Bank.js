@@ -0,0 +1,153 @@
+/**
+ * Bank - The supply of resource cards and the development card deck
+ * Owned by Game: cards only ever move between players and the bank, never appear from nothing
+ */
+class Bank {
+    constructor(developmentDeck = []) {
+        // Resource supply, 19 of each
+        this.resources = {};
+        Bank.RESOURCE_TYPES.forEach(resource => {
+            this.resources[resource] = Bank.CARDS_PER_RESOURCE;
+        });
+        
+        // Development card deck (shuffled, top card is the last element)
+        this.developmentDeck = developmentDeck.slice();
+        
+        // Debug info
+        this.id = 'bank_main';
+    }
+    
+    /**
+     * Get how many cards of a resource are left
+     */
+    getSupply(resource) {
+        return this.resources[resource] || 0;
+    }
+    
+    /**
+     * Check if the bank holds at least the given resource map
+     */
+    hasResources(resourceMap) {
+        return Object.entries(resourceMap).every(([resource, amount]) =>
+            this.resources.hasOwnProperty(resource) && this.resources[resource] >= amount
+        );
+    }
+    
+    /**
+     * Return cards to the supply (payments, discards)
+     */
+    deposit(resource, amount = 1) {
+        if (this.resources.hasOwnProperty(resource)) {
+            this.resources[resource] += amount;
+        }
+    }
+    
+    /**
+     * Hand cards from the bank to a player
+     * All or nothing: returns false if the bank is short of any of them
+     */
+    pay(player, resourceMap) {
+        if (!this.hasResources(resourceMap)) return false;
+        
+        for (let [resource, amount] of Object.entries(resourceMap)) {
+            this.resources[resource] -= amount;
+            player.addResources(resource, amount);
+        }
+        return true;
+    }
+    
+    /**
+     * Take cards from a player back into the bank
+     * All or nothing: returns false if the player does not hold them
+     */
+    collect(player, resourceMap) {
+        if (!player.hasResources(resourceMap)) return false;
+        
+        for (let [resource, amount] of Object.entries(resourceMap)) {
+            player.removeResources(resource, amount);
+            this.deposit(resource, amount);
+        }
+        return true;
+    }
+    
+    /**
+     * Pay out a dice roll. owed: Map of Player -> { resource: amount }
+     * Shortage rule: if the bank cannot pay everyone a resource, nobody gets it,
+     * unless only one player is owed it - then that player gets whatever is left
+     * Returns { paid: Map of Player -> { resource: amount }, shortages: [resource] }
+     * Covers every card type the bank holds, so commodities added by Cities & Knights are paid the same way
+     */
+    distributeProduction(owed) {
+        const paid = new Map();
+        const shortages = [];
+        
+        for (let resource of Object.keys(this.resources)) {
+            const claims = Array.from(owed.entries())
+                .filter(([player, resources]) => (resources[resource] || 0) > 0)
+                .map(([player, resources]) => ({ player, amount: resources[resource] }));
+            if (claims.length === 0) continue;
+            
+            const total = claims.reduce((sum, claim) => sum + claim.amount, 0);
+            if (total > this.resources[resource]) {
+                shortages.push(resource);
+                if (claims.length > 1) continue;
+                claims[0].amount = this.resources[resource];
+            }
+            
+            claims.forEach(({ player, amount }) => {
+                if (amount <= 0) return;
+                this.pay(player, { [resource]: amount });
+                if (!paid.has(player)) paid.set(player, {});
+                paid.get(player)[resource] = amount;
+            });
+        }
+        
+        return { paid, shortages };
+    }
+    
+    /**
+     * Take the top development card, or null if the deck is empty
+     */
+    drawDevelopmentCard() {
+        return this.developmentDeck.length > 0 ? this.developmentDeck.pop() : null;
+    }
+    
+    /**
+     * Get number of development cards left in the deck
+     */
+    getDevelopmentCardsLeft() {
+        return this.developmentDeck.length;
+    }
+    
+    /**
+     * Get total number of resource cards in the bank
+     */
+    getTotalResources() {
+        return Object.values(this.resources).reduce((sum, count) => sum + count, 0);
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        return `Bank Resources:${this.getTotalResources()} DevCards:${this.developmentDeck.length}`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return {
+            id: this.id,
+            resources: { ...this.resources },
+            totalResources: this.getTotalResources(),
+            developmentCardsLeft: this.developmentDeck.length
+        };
+    }
+}
+
+/**
+ * Resource card types and how many of each the bank starts with
+ */
+Bank.RESOURCE_TYPES = ['lumber', 'brick', 'ore', 'grain', 'wool'];
+Bank.CARDS_PER_RESOURCE = 19;
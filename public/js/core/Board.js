@@ -3,32 +3,50 @@
  * This is the central coordinator that builds and maintains the game board structure
  */
 class Board {
-    constructor() {
+    constructor(random = null) {
         // Core collections
         this.hexes = new Map(); // key: "q,r" -> Hex object
-        this.vertices = new Map(); // key: "q,r,direction" -> Vertex object  
-        this.edges = new Map(); // key: "q,r,direction" -> Edge object
+        this.vertices = new Map(); // key: "q,r,direction" (canonical N/S corner) -> Vertex object
+        this.edges = new Map(); // key: "q,r,direction" (canonical NE/E/SE side) -> Edge object
         
         // Game pieces
         this.numberTokens = [];
+        this.ports = [];
         this.robber = new Robber();
+        this.pirate = new Pirate();
+        
+        // Seafarers scenario rules (see loadScenario)
+        this.seafarers = false; // Ships and the pirate are in play
+        this.homeIsland = null; // Hex on the island where starting settlements go, or null for anywhere
+        this.islandBonus = 0; // Victory points for a player's first settlement on each other island
+        this.targetVictoryPoints = null; // Scenario's own win condition, or null for the game default
         
         // Board metadata
         this.isGenerated = false;
         this.boardType = 'standard'; // 'standard', 'beginner', 'custom'
+        this.presetName = null; // BoardPresets name the board was generated from
+        this.suggestedStarts = []; // Per seat: [{q, r, corner, side}] from the preset
+        
+        // Shared with Game when seeded, so a seed reproduces the layout
+        this.random = random || new Random();
         
         this.id = 'board_main';
     }
     
     /**
      * Generate the standard Catan board layout
+     * options.layout: 'standard' (19 hexes) or 'extension' (30 hexes for 5-6 players)
+     * options.portArrangement: 'standard' (official harbor order) or 'random'
+     * options.tokenPlacement: 'random' (default) or 'spiral', see placeNumberTokens
      */
-    generateStandardBoard() {
+    generateStandardBoard(options = {}) {
         // Clear existing board
         this.clear();
+        const extension = options.layout === 'extension';
+        this.boardType = extension ? 'extension' : 'standard';
         
-        // Standard Catan hex layout (19 hexes)
-        const hexLayout = [
+        // Hex layout: the 30-hex extension, or the standard 19 hexes
+        const hexLayout = extension ? this.getExtensionLayout() : [
             // Row -2: 3 hexes
             {q: -2, r: 0}, {q: -1, r: -1}, {q: 0, r: -2},
             // Row -1: 4 hexes  
@@ -51,6 +69,12 @@ class Board {
             'desert'
         ];
         
+        // The 5-6 player extension adds 2 of each resource terrain and a second desert
+        if (extension) {
+            terrains.push('forest', 'forest', 'pasture', 'pasture', 'fields', 'fields',
+                'hills', 'hills', 'mountains', 'mountains', 'desert');
+        }
+        
         // Shuffle terrain for randomization
         const shuffledTerrains = this.shuffleArray([...terrains]);
         
@@ -59,18 +83,348 @@ class Board {
             const hex = new Hex(coord.q, coord.r, shuffledTerrains[index]);
             this.addHex(hex);
         });
+        this.addSeaFrame();
         
         // Build all relationships between hexes, vertices, and edges
         this.buildRelationships();
+        this.markIslands();
+        
+        const topology = this.validateTopology();
+        if (!topology.valid) {
+            console.warn('Board topology is invalid:', topology.errors);
+        }
         
         // Add number tokens
-        this.placeNumberTokens();
+        this.placeNumberTokens(options.tokenPlacement || 'random', options);
+        
+        // Add harbors along the coast
+        this.placePorts(options.portArrangement || 'standard');
         
         // Place robber on desert
         this.placeRobberOnDesert();
         
         this.isGenerated = true;
-        this.boardType = 'standard';
+        this.presetName = 'standard';
+    }
+    
+    /**
+     * Hex coordinates of the 30-hex 5-6 player board: rows of 3, 4, 5, 6, 5, 4, 3
+     */
+    getExtensionLayout() {
+        const layout = [];
+        for (let r = -3; r <= 3; r++) {
+            for (let q = Math.max(-3, -3 - r); q <= Math.min(2, 2 - r); q++) {
+                layout.push({ q, r });
+            }
+        }
+        return layout;
+    }
+    
+    /**
+     * Generate standard boards until BoardAnalyzer scores one at options.threshold or better
+     * After options.maxAttempts the best board seen is kept instead; other options as in generateStandardBoard
+     * Returns the analysis of the final board plus { attempts, met }
+     */
+    generateBalancedBoard(options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : BoardAnalyzer.DEFAULT_THRESHOLD;
+        const maxAttempts = options.maxAttempts || 500;
+        let best = null;
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            this.generateStandardBoard(options);
+            const analysis = new BoardAnalyzer(this).analyze();
+            
+            if (analysis.score >= threshold) {
+                return { ...analysis, attempts: attempt, met: true };
+            }
+            if (!best || analysis.score > best.analysis.score) {
+                best = { analysis, scenario: this.exportScenario(), boardType: this.boardType };
+            }
+        }
+        
+        console.warn(`No board scored ${threshold} in ${maxAttempts} attempts, keeping the best (${best.analysis.score})`);
+        this.loadScenario(best.scenario);
+        this.boardType = best.boardType;
+        this.presetName = 'standard';
+        return { ...best.analysis, attempts: maxAttempts, met: false };
+    }
+    
+    /**
+     * Generate a board from a registered preset (see BoardPresets)
+     * Fixed presets keep their tokens and suggested starts; options as in generateStandardBoard
+     * Returns false if there is no preset with that name
+     */
+    generateFromPreset(name, options = {}) {
+        const preset = BoardPresets.get(name);
+        if (!preset) {
+            console.warn(`Unknown board preset: ${name}`);
+            return false;
+        }
+        
+        if (preset.balanced) {
+            this.generateBalancedBoard(options);
+        } else if (preset.random) {
+            this.generateStandardBoard(options);
+        } else {
+            // Fixed presets are scenarios (see loadScenario)
+            const result = this.loadScenario({ ...preset, ports: options.portArrangement || preset.ports });
+            if (!result.valid) {
+                console.warn(`Board preset ${name} is invalid:`, result.errors);
+                return false;
+            }
+        }
+        
+        // Random presets keep the layout they generated ('standard' or 'extension')
+        if (!preset.random && !preset.balanced) {
+            this.boardType = preset.boardType || 'custom';
+        }
+        this.presetName = preset.name;
+        return true;
+    }
+    
+    /**
+     * Load a hand-authored board (JSON string or object, schema in API_REFERENCE.md)
+     * Nothing changes if it is invalid. Returns { valid, errors }
+     */
+    loadScenario(json) {
+        let scenario = json;
+        if (typeof json === 'string') {
+            try {
+                scenario = JSON.parse(json);
+            } catch (error) {
+                return { valid: false, errors: [`Invalid JSON: ${error.message}`] };
+            }
+        }
+        
+        const validation = this.validateScenario(scenario);
+        if (!validation.valid) {
+            return validation;
+        }
+        
+        this.clear();
+        this.boardType = 'custom';
+        
+        scenario.hexes.forEach(({ q, r, terrain }) => this.addHex(new Hex(q, r, terrain)));
+        this.addSeaFrame();
+        this.buildRelationships();
+        this.markIslands();
+        
+        const topology = this.validateTopology();
+        if (!topology.valid) {
+            console.warn('Board topology is invalid:', topology.errors);
+        }
+        
+        // Fixed number tokens
+        scenario.hexes.filter(spec => spec.number).forEach(spec => {
+            const token = new NumberToken(spec.number);
+            token.placeOnHex(this.getHex(spec.q, spec.r));
+            this.numberTokens.push(token);
+        });
+        
+        // Harbors: listed one by one, or spread along the coast by arrangement name
+        if (Array.isArray(scenario.ports)) {
+            this.ports = scenario.ports.map(spec => {
+                const port = new Port(spec.type);
+                const hex = this.getHex(spec.q, spec.r);
+                port.placeOn(hex, spec.side, this.getSideVertices(hex, spec.side));
+                return port;
+            });
+        } else {
+            this.placePorts(scenario.ports || 'standard');
+        }
+        
+        if (scenario.robber) {
+            this.robber.moveTo(this.getHex(scenario.robber.q, scenario.robber.r));
+        } else {
+            this.placeRobberOnDesert();
+        }
+        
+        // Seafarers rules
+        this.seafarers = !!scenario.seafarers;
+        if (scenario.pirate) {
+            this.pirate.moveTo(this.getHex(scenario.pirate.q, scenario.pirate.r));
+        }
+        this.homeIsland = scenario.homeIsland ? this.getHex(scenario.homeIsland.q, scenario.homeIsland.r) : null;
+        this.islandBonus = scenario.islandBonus || 0;
+        this.targetVictoryPoints = scenario.victoryPoints || null;
+        
+        this.isGenerated = true;
+        this.presetName = null;
+        this.suggestedStarts = scenario.starts || [];
+        return validation;
+    }
+    
+    /**
+     * Check a scenario object without touching the board. Returns { valid, errors }
+     */
+    validateScenario(scenario) {
+        const errors = [];
+        
+        if (!scenario || !Array.isArray(scenario.hexes) || scenario.hexes.length === 0) {
+            return { valid: false, errors: ['Scenario needs a non-empty hexes array'] };
+        }
+        
+        const coords = new Set();
+        const seaCoords = new Set();
+        scenario.hexes.forEach((spec, index) => {
+            const label = `Hex ${index} (${spec.q},${spec.r})`;
+            
+            if (!Number.isInteger(spec.q) || !Number.isInteger(spec.r)) {
+                errors.push(`Hex ${index} needs integer q and r coordinates`);
+                return;
+            }
+            
+            const key = `${spec.q},${spec.r}`;
+            if (coords.has(key)) {
+                errors.push(`${label} duplicates coordinates ${key}`);
+            }
+            coords.add(key);
+            if (spec.terrain === 'sea') seaCoords.add(key);
+            
+            if (!Hex.TERRAINS.includes(spec.terrain)) {
+                errors.push(`${label} has unknown terrain '${spec.terrain}'`);
+                return;
+            }
+            
+            const takesToken = Hex.TOKEN_TERRAINS.includes(spec.terrain);
+            const hasToken = spec.number !== undefined && spec.number !== null;
+            if (hasToken && !takesToken) {
+                errors.push(`${label} is ${spec.terrain} and cannot have a number token`);
+            } else if (hasToken && !NumberToken.VALUES.includes(spec.number)) {
+                errors.push(`${label} has invalid number token ${spec.number}`);
+            } else if (!hasToken && takesToken) {
+                errors.push(`${label} is ${spec.terrain} and needs a number token`);
+            }
+        });
+        
+        // Every hex must be reachable from the first one (list sea hexes to join islands)
+        const islands = this.countIslands(coords);
+        if (islands > 1) {
+            errors.push(`Board is split into ${islands} disconnected islands`);
+        }
+        
+        const hasLand = (q, r) => coords.has(`${q},${r}`) && !seaCoords.has(`${q},${r}`);
+        
+        if (Array.isArray(scenario.ports)) {
+            const sides = new Set();
+            scenario.ports.forEach((spec, index) => {
+                const label = `Port ${index} (${spec.q},${spec.r} side ${spec.side})`;
+                
+                if (!Port.TYPES.includes(spec.type)) {
+                    errors.push(`${label} has unknown type '${spec.type}'`);
+                }
+                if (!hasLand(spec.q, spec.r)) {
+                    errors.push(`${label} is not on a land hex`);
+                    return;
+                }
+                if (!Number.isInteger(spec.side) || spec.side < 0 || spec.side > 5) {
+                    errors.push(`${label} needs a side from 0 to 5`);
+                    return;
+                }
+                
+                const offset = Board.NEIGHBOR_OFFSETS[spec.side];
+                if (hasLand(spec.q + offset.q, spec.r + offset.r)) {
+                    errors.push(`${label} does not face the sea`);
+                }
+                
+                const key = `${spec.q},${spec.r},${spec.side}`;
+                if (sides.has(key)) {
+                    errors.push(`${label} duplicates another port`);
+                }
+                sides.add(key);
+            });
+        } else if (scenario.ports !== undefined && !['standard', 'random'].includes(scenario.ports)) {
+            errors.push(`Ports must be a list, 'standard' or 'random', not '${scenario.ports}'`);
+        }
+        
+        if (scenario.robber && !hasLand(scenario.robber.q, scenario.robber.r)) {
+            errors.push(`Robber is not on a land hex (${scenario.robber.q},${scenario.robber.r})`);
+        }
+        
+        if (scenario.pirate && !seaCoords.has(`${scenario.pirate.q},${scenario.pirate.r}`)) {
+            errors.push(`Pirate is not on a listed sea hex (${scenario.pirate.q},${scenario.pirate.r})`);
+        }
+        if (scenario.homeIsland && !hasLand(scenario.homeIsland.q, scenario.homeIsland.r)) {
+            errors.push(`Home island is not a land hex (${scenario.homeIsland.q},${scenario.homeIsland.r})`);
+        }
+        ['islandBonus', 'victoryPoints'].forEach(field => {
+            const value = scenario[field];
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+                errors.push(`${field} must be a whole number, not '${value}'`);
+            }
+        });
+        
+        return { valid: errors.length === 0, errors };
+    }
+    
+    /**
+     * Count groups of hexes that touch each other. coords: Set of "q,r" keys
+     */
+    countIslands(coords) {
+        const unvisited = new Set(coords);
+        let islands = 0;
+        
+        while (unvisited.size > 0) {
+            islands++;
+            const queue = [unvisited.values().next().value];
+            unvisited.delete(queue[0]);
+            
+            while (queue.length > 0) {
+                const [q, r] = queue.shift().split(',').map(Number);
+                Board.NEIGHBOR_OFFSETS.forEach(offset => {
+                    const key = `${q + offset.q},${r + offset.r}`;
+                    if (unvisited.has(key)) {
+                        unvisited.delete(key);
+                        queue.push(key);
+                    }
+                });
+            }
+        }
+        
+        return islands;
+    }
+    
+    /**
+     * Export the board in the scenario format accepted by loadScenario
+     */
+    exportScenario() {
+        return {
+            name: this.presetName || this.boardType,
+            hexes: Array.from(this.hexes.values()).map(hex => ({
+                q: hex.q,
+                r: hex.r,
+                terrain: hex.terrain,
+                number: hex.numberToken ? hex.numberToken.value : null
+            })),
+            ports: this.ports.map(port => ({
+                q: port.hex.q,
+                r: port.hex.r,
+                side: port.direction,
+                type: port.type
+            })),
+            robber: this.robber.hex ? { q: this.robber.hex.q, r: this.robber.hex.r } : null,
+            starts: this.suggestedStarts,
+            seafarers: this.seafarers,
+            pirate: this.pirate.hex ? { q: this.pirate.hex.q, r: this.pirate.hex.r } : null,
+            homeIsland: this.homeIsland ? { q: this.homeIsland.q, r: this.homeIsland.r } : null,
+            islandBonus: this.islandBonus,
+            victoryPoints: this.targetVictoryPoints
+        };
+    }
+    
+    /**
+     * Get the suggested starting pieces for a seat: [{vertex, edge}, {vertex, edge}]
+     * Empty if the board has no suggestions for that seat
+     */
+    getSuggestedStart(seat) {
+        const starts = this.suggestedStarts[seat] || [];
+        return starts.map(({ q, r, corner, side }) => {
+            const hex = this.getHex(q, r);
+            return {
+                vertex: hex ? hex.vertices[corner] : null,
+                edge: hex ? hex.edges[side] : null
+            };
+        });
     }
     
     /**
@@ -81,6 +435,55 @@ class Board {
         this.hexes.set(key, hex);
     }
     
+    /**
+     * Surround the land with sea: add a sea hex on every empty position next to a land hex
+     * Call before buildRelationships so coastal corners and sides are shared with the sea
+     */
+    addSeaFrame() {
+        const land = Array.from(this.hexes.values()).filter(hex => !hex.isSea());
+        
+        land.forEach(hex => {
+            Board.NEIGHBOR_OFFSETS.forEach(offset => {
+                if (!this.getHex(hex.q + offset.q, hex.r + offset.r)) {
+                    this.addHex(new Hex(hex.q + offset.q, hex.r + offset.r, 'sea'));
+                }
+            });
+        });
+    }
+    
+    /**
+     * Number every land mass: land hexes that touch share hex.island (0, 1, ...), sea gets null
+     * Islands are numbered in hex order, so the first listed land hex is on island 0
+     */
+    markIslands() {
+        let island = 0;
+        
+        for (let hex of this.getLandHexes()) {
+            if (hex.island !== null) continue;
+            
+            const queue = [hex];
+            hex.island = island;
+            while (queue.length > 0) {
+                queue.shift().neighbors.forEach(neighbor => {
+                    if (!neighbor.isSea() && neighbor.island === null) {
+                        neighbor.island = island;
+                        queue.push(neighbor);
+                    }
+                });
+            }
+            island++;
+        }
+        
+        return island;
+    }
+    
+    /**
+     * Get all land (non-sea) hexes
+     */
+    getLandHexes() {
+        return Array.from(this.hexes.values()).filter(hex => !hex.isSea());
+    }
+    
     /**
      * Get hex at coordinates
      */
@@ -103,10 +506,14 @@ class Board {
         for (let hex of this.hexes.values()) {
             this.linkHexRelationships(hex);
         }
+        
+        // Third pass: vertex-vertex and edge-edge adjacency
+        this.linkAdjacency();
     }
     
     /**
      * Create vertices around a hex
+     * hex.vertices is ordered by corner: 0=N, 1=NE, 2=SE, 3=S, 4=SW, 5=NW
      */
     createVerticesForHex(hex) {
         // Each hex has 6 vertices (corners)
@@ -129,6 +536,7 @@ class Board {
     
     /**
      * Create edges around a hex
+     * hex.edges is ordered by side: 0=NE, 1=E, 2=SE, 3=SW, 4=W, 5=NW
      */
     createEdgesForHex(hex) {
         // Each hex has 6 edges (sides)
@@ -150,18 +558,18 @@ class Board {
     }
     
     /**
-     * Calculate vertex coordinates for a hex direction
+     * Calculate canonical vertex coordinates for a hex corner
+     * Every corner is the N (0) or S (3) corner of exactly one hex position,
+     * so the 3 hexes meeting at a corner all map it to the same key
      */
     getVertexCoords(hexQ, hexR, direction) {
-        // Vertex coordinates based on hex position and direction
-        // This ensures vertices are shared between adjacent hexes
         const vertexOffsets = [
-            {q: 1, r: -1, d: 4}, // NE vertex
-            {q: 1, r: 0, d: 5},  // E vertex  
-            {q: 0, r: 1, d: 0},  // SE vertex
-            {q: -1, r: 1, d: 1}, // SW vertex
-            {q: -1, r: 0, d: 2}, // W vertex
-            {q: 0, r: -1, d: 3}  // NW vertex
+            {q: 0, r: 0, d: 0},  // N corner - own N
+            {q: 1, r: -1, d: 3}, // NE corner - S of NE neighbor
+            {q: 0, r: 1, d: 0},  // SE corner - N of SE neighbor
+            {q: 0, r: 0, d: 3},  // S corner - own S
+            {q: -1, r: 1, d: 0}, // SW corner - N of SW neighbor
+            {q: 0, r: -1, d: 3}  // NW corner - S of NW neighbor
         ];
         
         const offset = vertexOffsets[direction];
@@ -173,15 +581,20 @@ class Board {
     }
     
     /**
-     * Calculate edge coordinates for a hex direction
+     * Calculate canonical edge coordinates for a hex side
+     * Every side is the NE (0), E (1) or SE (2) side of exactly one hex position;
+     * the other three sides belong to the neighbor across them
      */
     getEdgeCoords(hexQ, hexR, direction) {
-        // Edge coordinates based on hex position and direction
-        // This ensures edges are shared between adjacent hexes
+        if (direction < 3) {
+            return { q: hexQ, r: hexR, direction: direction };
+        }
+        
+        const offset = Board.NEIGHBOR_OFFSETS[direction];
         return {
-            q: hexQ,
-            r: hexR,
-            direction: direction
+            q: hexQ + offset.q,
+            r: hexR + offset.r,
+            direction: direction - 3
         };
     }
     
@@ -190,107 +603,289 @@ class Board {
      */
     linkHexRelationships(hex) {
         // Link hex neighbors
-        const neighborOffsets = [
-            {q: 1, r: -1}, {q: 1, r: 0}, {q: 0, r: 1},
-            {q: -1, r: 1}, {q: -1, r: 0}, {q: 0, r: -1}
-        ];
-        
-        neighborOffsets.forEach(offset => {
+        Board.NEIGHBOR_OFFSETS.forEach(offset => {
             const neighbor = this.getHex(hex.q + offset.q, hex.r + offset.r);
             if (neighbor) {
                 hex.neighbors.push(neighbor);
             }
         });
         
-        // Link vertex-edge relationships
-        hex.vertices.forEach((vertex, vertexIndex) => {
-            // Each vertex connects to 3 edges
-            const edgeIndices = [
-                (vertexIndex + 5) % 6, // Previous edge
-                vertexIndex,           // Current edge  
-                (vertexIndex + 1) % 6  // Next edge
-            ];
+        // Link vertex-edge relationships: side d runs from corner d to corner d+1
+        hex.edges.forEach((edge, direction) => {
+            const ends = [hex.vertices[direction], hex.vertices[(direction + 1) % 6]];
             
-            edgeIndices.forEach(edgeIndex => {
-                const edge = hex.edges[edgeIndex];
-                if (edge && !vertex.edges.includes(edge)) {
+            ends.forEach(vertex => {
+                if (!vertex.edges.includes(edge)) {
                     vertex.edges.push(edge);
                 }
-                if (edge && !edge.vertices.includes(vertex)) {
+                if (!edge.vertices.includes(vertex)) {
                     edge.vertices.push(vertex);
                 }
             });
         });
     }
     
+    /**
+     * Link vertices joined by an edge, and edges sharing a vertex
+     */
+    linkAdjacency() {
+        for (let edge of this.edges.values()) {
+            const [a, b] = edge.vertices;
+            if (a && b) {
+                if (!a.adjacentVertices.includes(b)) a.adjacentVertices.push(b);
+                if (!b.adjacentVertices.includes(a)) b.adjacentVertices.push(a);
+            }
+            
+            for (let vertex of edge.vertices) {
+                for (let other of vertex.edges) {
+                    if (other !== edge && !edge.adjacentEdges.includes(other)) {
+                        edge.adjacentEdges.push(other);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Check the board graph invariants
+     * Every vertex touches 1-3 hexes (3 inland) and 2-3 edges, every edge joins 2 vertices
+     * and borders 1-2 hexes. The sea frame means every land vertex touches 3 hexes and every
+     * land edge 2; the standard 19 land hexes have 54 vertices and 72 edges on land
+     */
+    validateTopology() {
+        const errors = [];
+        const landVertices = Array.from(this.vertices.values()).filter(vertex => vertex.isOnLand());
+        const landEdges = Array.from(this.edges.values()).filter(edge => edge.isOnLand());
+        
+        if ((this.boardType === 'standard' || this.boardType === 'beginner') && this.getLandHexes().length === 19) {
+            if (landVertices.length !== 54) errors.push(`Expected 54 land vertices, found ${landVertices.length}`);
+            if (landEdges.length !== 72) errors.push(`Expected 72 land edges, found ${landEdges.length}`);
+        }
+        
+        landVertices.filter(vertex => vertex.hexes.length !== 3).forEach(vertex => {
+            errors.push(`${vertex.id} is on land but touches only ${vertex.hexes.length} hexes`);
+        });
+        landEdges.filter(edge => edge.hexes.length !== 2).forEach(edge => {
+            errors.push(`${edge.id} is on land but borders only ${edge.hexes.length} hex`);
+        });
+        
+        for (let vertex of this.vertices.values()) {
+            if (vertex.hexes.length < 1 || vertex.hexes.length > 3) {
+                errors.push(`${vertex.id} touches ${vertex.hexes.length} hexes`);
+            }
+            if (vertex.edges.length < 2 || vertex.edges.length > 3) {
+                errors.push(`${vertex.id} has ${vertex.edges.length} edges`);
+            }
+            if (vertex.adjacentVertices.length !== vertex.edges.length) {
+                errors.push(`${vertex.id} has ${vertex.adjacentVertices.length} neighbors for ${vertex.edges.length} edges`);
+            }
+            // An inland corner (3 edges) must be shared by 3 hexes unless it sits on the coast
+            if (vertex.edges.length === 3 && vertex.hexes.length === 1) {
+                errors.push(`${vertex.id} has 3 edges but only 1 hex`);
+            }
+        }
+        
+        for (let edge of this.edges.values()) {
+            if (edge.vertices.length !== 2) {
+                errors.push(`${edge.id} joins ${edge.vertices.length} vertices`);
+            }
+            if (edge.hexes.length < 1 || edge.hexes.length > 2) {
+                errors.push(`${edge.id} borders ${edge.hexes.length} hexes`);
+            }
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            vertices: this.vertices.size,
+            edges: this.edges.size,
+            landVertices: landVertices.length,
+            landEdges: landEdges.length
+        };
+    }
+    
     /**
      * Place number tokens on resource hexes
+     * method: 'random' (constraint solver) or 'spiral' (official A-R order)
+     * options.noAdjacentSameNumber, options.noAdjacent2And12: extra rules for 'random'
      */
-    placeNumberTokens() {
-        // Create standard set of number tokens
-        this.numberTokens = NumberToken.createStandardSet();
+    placeNumberTokens(method = 'random', options = {}) {
+        // Create standard (or 5-6 player extension) set of number tokens
+        this.numberTokens = this.boardType === 'extension'
+            ? NumberToken.createExtensionSet()
+            : NumberToken.createStandardSet();
+        
+        // The lettered spiral only exists for the 18 standard tokens
+        if (method === 'spiral' && this.numberTokens.length > NumberToken.SPIRAL_ORDER.length) {
+            console.warn('The spiral layout needs the 19-hex board, placing tokens randomly');
+            method = 'random';
+        }
         
-        // Get non-desert hexes
-        const resourceHexes = Array.from(this.hexes.values()).filter(hex => hex.terrain !== 'desert');
+        // Hexes that take a token
+        const resourceHexes = Array.from(this.hexes.values())
+            .filter(hex => Hex.TOKEN_TERRAINS.includes(hex.terrain));
         
-        // Separate red (6,8) and non-red tokens
-        const redTokens = this.numberTokens.filter(token => token.isHighProbability());
-        const nonRedTokens = this.numberTokens.filter(token => !token.isHighProbability());
+        if (resourceHexes.length !== this.numberTokens.length) {
+            console.warn(`${resourceHexes.length} resource hexes for ${this.numberTokens.length} number tokens`);
+            return false;
+        }
         
-        // Shuffle both groups
-        const shuffledRedTokens = this.shuffleArray([...redTokens]);
-        const shuffledNonRedTokens = this.shuffleArray([...nonRedTokens]);
+        const values = method === 'spiral'
+            ? this.getSpiralTokenValues(this.random.nextInt(6))
+            : this.solveTokenValues(resourceHexes, options);
         
-        // Place red tokens first with adjacency constraint
-        this.placeRedTokensWithConstraint(shuffledRedTokens, resourceHexes);
+        if (!values) {
+            console.error('No number token layout satisfies the placement rules');
+            return false;
+        }
         
-        // Place remaining non-red tokens
-        this.placeRemainingTokens(shuffledNonRedTokens, resourceHexes);
+        // Hand out the token objects to match the chosen values
+        const unplaced = [...this.numberTokens];
+        values.forEach((value, hex) => {
+            const token = unplaced.splice(unplaced.findIndex(t => t.value === value), 1)[0];
+            token.placeOnHex(hex);
+        });
+        return true;
     }
     
     /**
-     * Place red tokens (6,8) ensuring no two are adjacent
+     * Official spiral: tokens A-R go counterclockwise from a corner of the outer ring
+     * towards the center, skipping the desert. Returns Map of Hex -> value
      */
-    placeRedTokensWithConstraint(redTokens, hexes) {
-        const availableHexes = [...hexes];
+    getSpiralTokenValues(startCorner) {
+        const values = new Map();
+        let letter = 0;
         
-        for (let token of redTokens) {
-            // Find hexes where we can place this red token without being adjacent to another red token
-            const validHexes = availableHexes.filter(hex => {
-                return !hex.neighbors.some(neighbor => 
-                    neighbor.numberToken && neighbor.numberToken.isHighProbability()
-                );
-            });
+        for (let hex of this.getSpiralOrder(startCorner)) {
+            if (!Hex.TOKEN_TERRAINS.includes(hex.terrain)) continue;
+            values.set(hex, NumberToken.SPIRAL_ORDER[letter++]);
+        }
+        return values;
+    }
+    
+    /**
+     * All hexes ring by ring from the outside in, counterclockwise (as seen in the 3D view)
+     * starting from corner 0-5 of the outer ring (0 = east, then every 60 degrees)
+     */
+    getSpiralOrder(startCorner = 0) {
+        const startAngle = startCorner * Math.PI / 3;
+        const ring = hex => Math.max(Math.abs(hex.q), Math.abs(hex.r), Math.abs(hex.s));
+        const angle = hex => {
+            const x = Math.sqrt(3) * (hex.q + hex.r / 2);
+            const y = 3/2 * hex.r;
+            const turn = 2 * Math.PI;
+            return ((Math.atan2(y, x) - startAngle) % turn + turn + 1e-9) % turn;
+        };
+        
+        return Array.from(this.hexes.values())
+            .sort((a, b) => ring(b) - ring(a) || angle(a) - angle(b));
+    }
+    
+    /**
+     * Random token layout by backtracking search: 6s and 8s never touch, and optionally
+     * neither do identical numbers or 2s and 12s. Only fails if no layout exists at all.
+     * Returns Map of Hex -> value, or null
+     */
+    solveTokenValues(hexes, options = {}) {
+        // Place the most restricted numbers first; the hex order is what makes the layout random
+        const restriction = value => (value === 6 || value === 8 ? 2 : 0) + (value === 2 || value === 12 ? 1 : 0);
+        const values = this.numberTokens.map(token => token.value)
+            .sort((a, b) => restriction(b) - restriction(a) || a - b);
+        const order = this.shuffleArray(hexes);
+        
+        const placed = new Map(); // Hex -> value
+        const positions = []; // Index in order of each placed value
+        
+        const solve = index => {
+            if (index === values.length) return true;
             
-            if (validHexes.length > 0) {
-                // Place on a random valid hex
-                const randomIndex = Math.floor(Math.random() * validHexes.length);
-                const selectedHex = validHexes[randomIndex];
-                token.placeOnHex(selectedHex);
+            // Equal values are interchangeable: keep them in order so no layout is searched twice
+            const value = values[index];
+            const start = index > 0 && values[index - 1] === value ? positions[index - 1] + 1 : 0;
+            
+            for (let position = start; position < order.length; position++) {
+                const hex = order[position];
+                if (placed.has(hex)) continue;
                 
-                // Remove this hex from available hexes
-                const hexIndex = availableHexes.indexOf(selectedHex);
-                availableHexes.splice(hexIndex, 1);
-            } else {
-                // Fallback: place on any available hex (constraint couldn't be satisfied)
-                console.warn('Could not satisfy red token adjacency constraint');
-                if (availableHexes.length > 0) {
-                    token.placeOnHex(availableHexes.pop());
-                }
+                const clashes = hex.neighbors.some(neighbor =>
+                    placed.has(neighbor) && this.tokensClash(value, placed.get(neighbor), options)
+                );
+                if (clashes) continue;
+                
+                placed.set(hex, value);
+                positions[index] = position;
+                if (solve(index + 1)) return true;
+                placed.delete(hex);
             }
-        }
+            return false;
+        };
+        
+        return solve(0) ? placed : null;
     }
     
     /**
-     * Place remaining non-red tokens on available hexes
+     * Check if two token values may not sit on adjacent hexes
      */
-    placeRemainingTokens(tokens, hexes) {
-        const availableHexes = hexes.filter(hex => !hex.numberToken);
-        const shuffledAvailable = this.shuffleArray([...availableHexes]);
+    tokensClash(a, b, options = {}) {
+        const isRed = value => value === 6 || value === 8;
+        const isEdge = value => value === 2 || value === 12;
         
-        for (let i = 0; i < tokens.length && i < shuffledAvailable.length; i++) {
-            tokens[i].placeOnHex(shuffledAvailable[i]);
+        if (isRed(a) && isRed(b)) return true;
+        if (options.noAdjacentSameNumber && a === b) return true;
+        if (options.noAdjacent2And12 && isEdge(a) && isEdge(b)) return true;
+        return false;
+    }
+    
+    /**
+     * Place the 9 harbors (11 on the extension board) on evenly spaced coastal sides
+     * arrangement: 'standard' keeps the official order, 'random' shuffles harbor types
+     */
+    placePorts(arrangement = 'standard') {
+        const ports = this.boardType === 'extension' ? Port.createExtensionSet() : Port.createStandardSet();
+        this.ports = arrangement === 'random' ? this.shuffleArray(ports) : ports;
+        
+        const coast = this.getCoastalSides();
+        if (coast.length < this.ports.length * 2) {
+            console.warn('Not enough coastline for harbors');
+            this.ports = [];
+            return;
         }
+        
+        // Spread harbors around the coast so no two share a vertex
+        this.ports.forEach((port, index) => {
+            const side = coast[Math.round(index * coast.length / this.ports.length)];
+            port.placeOn(side.hex, side.direction, this.getSideVertices(side.hex, side.direction));
+        });
+    }
+    
+    /**
+     * Get every land hex side facing the sea (or off the board), ordered clockwise around the center
+     */
+    getCoastalSides() {
+        const sides = [];
+        for (let hex of this.getLandHexes()) {
+            Board.NEIGHBOR_OFFSETS.forEach((offset, direction) => {
+                const neighbor = this.getHex(hex.q + offset.q, hex.r + offset.r);
+                if (neighbor && !neighbor.isSea()) return;
+                
+                // Midpoint of the side, halfway to the neighbor
+                const q = hex.q + offset.q / 2;
+                const r = hex.r + offset.r / 2;
+                const x = Math.sqrt(3) * (q + r / 2);
+                const z = 3/2 * r;
+                sides.push({ hex, direction, angle: Math.atan2(z, x) });
+            });
+        }
+        
+        return sides.sort((a, b) => a.angle - b.angle);
+    }
+    
+    /**
+     * Get the two vertices at the ends of a hex side
+     * Side d runs from corner d to corner d+1
+     */
+    getSideVertices(hex, direction) {
+        return [hex.vertices[direction], hex.vertices[(direction + 1) % 6]].filter(Boolean);
     }
     
     /**
@@ -311,11 +906,18 @@ class Board {
     }
     
     /**
-     * Get all valid settlement placement locations for initial setup
+     * Get all valid settlement placement locations
+     * phase 'setup' ignores roads (but keeps to the home island); any other phase requires one of the player's roads
      */
-    getValidSettlementPlacements() {
+    getValidSettlementPlacements(player = null, phase = 'playing') {
+        // Without a player only the distance rule applies
+        const requireRoad = player !== null && phase !== 'setup';
+        
+        // Seafarers scenarios start everyone on the home island
+        const homeIsland = phase === 'setup' && this.homeIsland ? this.homeIsland.island : null;
         return Array.from(this.vertices.values()).filter(vertex => 
-            vertex.canPlaceSettlement()
+            vertex.canPlaceSettlement(player, requireRoad) &&
+            (homeIsland === null || vertex.getIsland() === homeIsland)
         );
     }
     
@@ -328,6 +930,16 @@ class Board {
         );
     }
     
+    /**
+     * Get all valid ship placement locations for a player (Seafarers boards only)
+     */
+    getValidShipPlacements(player) {
+        if (!this.seafarers) return [];
+        return Array.from(this.edges.values()).filter(edge => 
+            edge.canPlaceShip(player)
+        );
+    }
+    
     /**
      * Clear the entire board
      */
@@ -336,20 +948,24 @@ class Board {
         this.vertices.clear();
         this.edges.clear();
         this.numberTokens = [];
+        this.ports.forEach(port => port.removeFromBoard());
+        this.ports = [];
         this.robber = new Robber();
+        this.pirate = new Pirate();
+        this.seafarers = false;
+        this.homeIsland = null;
+        this.islandBonus = 0;
+        this.targetVictoryPoints = null;
         this.isGenerated = false;
+        this.presetName = null;
+        this.suggestedStarts = [];
     }
     
     /**
-     * Utility: shuffle array
+     * Utility: shuffle array (with the board's seeded generator)
      */
     shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return this.random.shuffle(array);
     }
     
     /**
@@ -358,11 +974,15 @@ class Board {
     getStats() {
         return {
             hexes: this.hexes.size,
+            seaHexes: this.hexes.size - this.getLandHexes().length,
+            islands: new Set(this.getLandHexes().map(hex => hex.island)).size,
             vertices: this.vertices.size,
             edges: this.edges.size,
             numberTokens: this.numberTokens.length,
+            ports: this.ports.length,
             isGenerated: this.isGenerated,
-            boardType: this.boardType
+            boardType: this.boardType,
+            preset: this.presetName
         };
     }
     
@@ -394,10 +1014,20 @@ class Board {
             stats: stats,
             terrainDistribution: terrainCount,
             numberTokens: tokenValues,
+            ports: this.ports.map(port => port.toString()),
             robberLocation: this.robber.hex ? this.robber.hex.terrain : 'unplaced',
+            pirateLocation: this.pirate.hex ? this.pirate.hex.id : 'unplaced',
             sampleHexes: Array.from(this.hexes.values()).slice(0, 3).map(h => h.toString()),
             sampleVertices: Array.from(this.vertices.values()).slice(0, 3).map(v => v.toString()),
             sampleEdges: Array.from(this.edges.values()).slice(0, 3).map(e => e.toString())
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Axial offsets to the 6 neighbors, indexed by side: 0=NE, 1=E, 2=SE, 3=SW, 4=W, 5=NW
+ */
+Board.NEIGHBOR_OFFSETS = [
+    {q: 1, r: -1}, {q: 1, r: 0}, {q: 0, r: 1},
+    {q: -1, r: 1}, {q: -1, r: 0}, {q: 0, r: -1}
+];
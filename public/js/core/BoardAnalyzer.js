@@ -0,0 +1,202 @@
+/**
+ * BoardAnalyzer - Scores how fair a generated Board is
+ * Each part is scored 0-100 (higher is fairer) and combined with BoardAnalyzer.WEIGHTS
+ */
+class BoardAnalyzer {
+    constructor(board) {
+        this.board = board;
+    }
+    
+    /**
+     * Score the board. Returns { score, resources, clustering, vertices, harbors }
+     */
+    analyze() {
+        const parts = {
+            resources: this.analyzeResources(),
+            clustering: this.analyzeClustering(),
+            vertices: this.analyzeVertices(),
+            harbors: this.analyzeHarbors()
+        };
+        
+        let score = 0;
+        for (let [part, weight] of Object.entries(BoardAnalyzer.WEIGHTS)) {
+            score += parts[part].score * weight;
+        }
+        
+        return { score: Math.round(score), ...parts };
+    }
+    
+    /**
+     * Get just the overall score
+     */
+    getScore() {
+        return this.analyze().score;
+    }
+    
+    /**
+     * Pips (NumberToken.probability) per resource, and how evenly they are spread per hex
+     * so no resource is stuck on 2s and 12s
+     */
+    analyzeResources() {
+        const pips = {};
+        const hexCount = {};
+        
+        for (let hex of this.board.hexes.values()) {
+            const resource = hex.getResourceType();
+            if (!resource) continue;
+            
+            pips[resource] = (pips[resource] || 0) + (hex.numberToken ? hex.numberToken.probability : 0);
+            hexCount[resource] = (hexCount[resource] || 0) + 1;
+        }
+        
+        const pipsPerHex = {};
+        Object.keys(pips).forEach(resource => {
+            pipsPerHex[resource] = Math.round(pips[resource] / hexCount[resource] * 100) / 100;
+        });
+        
+        const averages = Object.values(pipsPerHex);
+        const spread = averages.length > 0 ? Math.max(...averages) - Math.min(...averages) : 0;
+        
+        return {
+            score: BoardAnalyzer.clamp(100 - 35 * spread),
+            pips,
+            pipsPerHex,
+            spread: Math.round(spread * 100) / 100
+        };
+    }
+    
+    /**
+     * Count neighboring hexes of the same resource terrain
+     * Scored per 18 resource hexes so the 30-hex board is judged like the standard one
+     */
+    analyzeClustering() {
+        let sameTerrainPairs = 0;
+        let resourceHexes = 0;
+        
+        for (let hex of this.board.hexes.values()) {
+            if (!hex.getResourceType()) continue;
+            
+            // Each pair is seen from both sides
+            sameTerrainPairs += hex.neighbors.filter(neighbor => neighbor.terrain === hex.terrain).length;
+            resourceHexes++;
+        }
+        sameTerrainPairs /= 2;
+        
+        const pairsPer18 = resourceHexes > 0 ? sameTerrainPairs * 18 / resourceHexes : 0;
+        
+        return {
+            score: BoardAnalyzer.clamp(100 - 12 * pairsPer18),
+            sameTerrainPairs
+        };
+    }
+    
+    /**
+     * Settlement spots: the best one should not be far ahead of the rest, and strong spots
+     * (STRONG_VERTEX_PIPS or more) should be spread around the board rather than bunched on one side
+     */
+    analyzeVertices() {
+        const spots = Array.from(this.board.vertices.values()).map(vertex => ({
+            vertex,
+            pips: this.getVertexPips(vertex)
+        }));
+        
+        const maxPips = spots.reduce((max, spot) => Math.max(max, spot.pips), 0);
+        const strong = spots.filter(spot => spot.pips >= BoardAnalyzer.STRONG_VERTEX_PIPS);
+        
+        // Strong spots per sixth of the board, by angle around the center
+        const sextants = [0, 0, 0, 0, 0, 0];
+        strong.forEach(({ vertex }) => {
+            const position = vertex.toPixelCoordinates();
+            const angle = Math.atan2(position.z, position.x) + Math.PI;
+            sextants[Math.min(5, Math.floor(angle / (Math.PI / 3)))]++;
+        });
+        const imbalance = Math.max(...sextants) - Math.min(...sextants);
+        
+        return {
+            score: BoardAnalyzer.clamp(100 - 15 * Math.max(0, maxPips - 11) - 10 * Math.max(0, imbalance - 1)),
+            maxPips,
+            strongVertices: strong.length,
+            sextants
+        };
+    }
+    
+    /**
+     * Harbors should be reachable from producing land, and a 2:1 harbor should not sit
+     * right on a strong hex of its own resource
+     */
+    analyzeHarbors() {
+        const deadHarbors = [];
+        const loadedHarbors = [];
+        
+        this.board.ports.forEach(port => {
+            const hexes = new Set();
+            port.vertices.forEach(vertex => vertex.hexes.forEach(hex => hexes.add(hex)));
+            
+            const producing = Array.from(hexes).filter(hex => hex.numberToken);
+            if (producing.length === 0) {
+                deadHarbors.push(port.type);
+            }
+            
+            const ownResourcePips = producing
+                .filter(hex => hex.getResourceType() === port.type)
+                .reduce((sum, hex) => sum + hex.numberToken.probability, 0);
+            if (!port.isGeneric() && ownResourcePips >= 4) {
+                loadedHarbors.push(port.type);
+            }
+        });
+        
+        return {
+            score: BoardAnalyzer.clamp(100 - 20 * loadedHarbors.length - 10 * deadHarbors.length),
+            loadedHarbors,
+            deadHarbors
+        };
+    }
+    
+    /**
+     * Total pips of the hexes around a vertex
+     */
+    getVertexPips(vertex) {
+        return vertex.hexes.reduce((sum, hex) => sum + (hex.numberToken ? hex.numberToken.probability : 0), 0);
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        return `BoardAnalyzer(${this.board.presetName || this.board.boardType}) score ${this.getScore()}`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return this.analyze();
+    }
+}
+
+/**
+ * Clamp a score to 0-100
+ */
+BoardAnalyzer.clamp = function(score) {
+    return Math.max(0, Math.min(100, Math.round(score)));
+};
+
+/**
+ * How much each part counts towards the overall score
+ */
+BoardAnalyzer.WEIGHTS = {
+    resources: 0.35,
+    clustering: 0.2,
+    vertices: 0.25,
+    harbors: 0.2
+};
+
+/**
+ * Pips at which a settlement spot counts as strong
+ */
+BoardAnalyzer.STRONG_VERTEX_PIPS = 10;
+
+/**
+ * Score generateBalancedBoard aims for when no threshold is given
+ */
+BoardAnalyzer.DEFAULT_THRESHOLD = 65;
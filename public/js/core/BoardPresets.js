@@ -0,0 +1,264 @@
+/**
+ * BoardPresets - Registry of named board layouts for Board.generateFromPreset
+ *
+ * A preset either generates a random standard board (random: true, or balanced: true to
+ * resample until BoardAnalyzer accepts it) or lists every hex with
+ * its terrain and fixed number token. Rows are listed top to bottom as they appear in the
+ * 3D view (r = 2 is the top row). Optional suggested starts give each seat two
+ * settlements, each as a hex corner (0-5) plus the side (0-5) of the same hex for its road.
+ * Fixed presets are scenarios, so they may also carry ports and the Seafarers rules.
+ */
+const BoardPresets = {
+    presets: new Map(),
+    
+    /**
+     * Add or replace a preset
+     */
+    register(preset) {
+        this.presets.set(preset.name, preset);
+        return preset;
+    },
+    
+    /**
+     * Get a preset by name, or null
+     */
+    get(name) {
+        return this.presets.get(name) || null;
+    },
+    
+    /**
+     * List presets for menus: [{name, title, description}]
+     */
+    list() {
+        return Array.from(this.presets.values()).map(preset => ({
+            name: preset.name,
+            title: preset.title,
+            description: preset.description
+        }));
+    }
+};
+
+BoardPresets.register({
+    name: 'standard',
+    title: 'Standard (random)',
+    description: 'Shuffled terrain and tokens, no adjacent 6s and 8s',
+    boardType: 'standard',
+    random: true
+});
+
+BoardPresets.register({
+    name: 'balanced-random',
+    title: 'Balanced (random)',
+    description: 'Random boards are drawn until one scores well for fairness',
+    boardType: 'standard',
+    balanced: true
+});
+
+BoardPresets.register({
+    name: 'beginner',
+    title: 'Beginner',
+    description: 'The fixed layout and tokens from the rulebook\'s starting set-up for beginners',
+    boardType: 'beginner',
+    hexes: [
+        { q: -2, r: 2, terrain: 'mountains', number: 10 },
+        { q: -1, r: 2, terrain: 'pasture', number: 2 },
+        { q: 0, r: 2, terrain: 'forest', number: 9 },
+        { q: -2, r: 1, terrain: 'fields', number: 12 },
+        { q: -1, r: 1, terrain: 'hills', number: 6 },
+        { q: 0, r: 1, terrain: 'pasture', number: 4 },
+        { q: 1, r: 1, terrain: 'hills', number: 10 },
+        { q: -2, r: 0, terrain: 'fields', number: 9 },
+        { q: -1, r: 0, terrain: 'forest', number: 11 },
+        { q: 0, r: 0, terrain: 'desert', number: null },
+        { q: 1, r: 0, terrain: 'forest', number: 3 },
+        { q: 2, r: 0, terrain: 'mountains', number: 8 },
+        { q: -1, r: -1, terrain: 'forest', number: 8 },
+        { q: 0, r: -1, terrain: 'mountains', number: 3 },
+        { q: 1, r: -1, terrain: 'fields', number: 4 },
+        { q: 2, r: -1, terrain: 'pasture', number: 5 },
+        { q: 0, r: -2, terrain: 'hills', number: 5 },
+        { q: 1, r: -2, terrain: 'fields', number: 6 },
+        { q: 2, r: -2, terrain: 'pasture', number: 11 }
+    ],
+    starts: [
+        [{ q: 1, r: 0, corner: 1, side: 1 }, { q: 0, r: -2, corner: 1, side: 1 }],
+        [{ q: -1, r: -1, corner: 1, side: 1 }, { q: 1, r: -1, corner: 1, side: 1 }],
+        [{ q: 0, r: 2, corner: 0, side: 0 }, { q: 0, r: -1, corner: 1, side: 1 }],
+        [{ q: -2, r: 0, corner: 1, side: 1 }, { q: -2, r: 2, corner: 1, side: 1 }]
+    ]
+});
+
+// Curated maps: no matching terrain or numbers side by side, no touching 6s and 8s,
+// every resource averaging 2.9-3.6 pips per hex, and no corner worth more than 11 pips
+
+BoardPresets.register({
+    name: 'balanced-1',
+    title: 'Balanced I',
+    description: 'Desert in the center, both 8s in the lower right',
+    boardType: 'standard',
+    hexes: [
+        { q: -2, r: 2, terrain: 'mountains', number: 6 },
+        { q: -1, r: 2, terrain: 'hills', number: 11 },
+        { q: 0, r: 2, terrain: 'fields', number: 5 },
+        { q: -2, r: 1, terrain: 'forest', number: 3 },
+        { q: -1, r: 1, terrain: 'pasture', number: 10 },
+        { q: 0, r: 1, terrain: 'forest', number: 2 },
+        { q: 1, r: 1, terrain: 'hills', number: 9 },
+        { q: -2, r: 0, terrain: 'pasture', number: 9 },
+        { q: -1, r: 0, terrain: 'fields', number: 4 },
+        { q: 0, r: 0, terrain: 'desert', number: null },
+        { q: 1, r: 0, terrain: 'fields', number: 6 },
+        { q: 2, r: 0, terrain: 'pasture', number: 11 },
+        { q: -1, r: -1, terrain: 'hills', number: 10 },
+        { q: 0, r: -1, terrain: 'forest', number: 8 },
+        { q: 1, r: -1, terrain: 'pasture', number: 5 },
+        { q: 2, r: -1, terrain: 'mountains', number: 3 },
+        { q: 0, r: -2, terrain: 'mountains', number: 4 },
+        { q: 1, r: -2, terrain: 'fields', number: 12 },
+        { q: 2, r: -2, terrain: 'forest', number: 8 }
+    ],
+    starts: [
+        [{ q: 1, r: 1, corner: 0, side: 0 }, { q: 2, r: -1, corner: 0, side: 0 }],
+        [{ q: -1, r: 0, corner: 0, side: 0 }, { q: -2, r: 1, corner: 0, side: 0 }],
+        [{ q: 1, r: 0, corner: 0, side: 0 }, { q: 0, r: -1, corner: 1, side: 1 }],
+        [{ q: -2, r: 2, corner: 0, side: 0 }, { q: 0, r: 2, corner: 0, side: 0 }]
+    ]
+});
+
+BoardPresets.register({
+    name: 'balanced-2',
+    title: 'Balanced II',
+    description: 'Desert above the center, 6s in opposite corners',
+    boardType: 'standard',
+    hexes: [
+        { q: -2, r: 2, terrain: 'forest', number: 6 },
+        { q: -1, r: 2, terrain: 'hills', number: 9 },
+        { q: 0, r: 2, terrain: 'fields', number: 3 },
+        { q: -2, r: 1, terrain: 'pasture', number: 10 },
+        { q: -1, r: 1, terrain: 'mountains', number: 11 },
+        { q: 0, r: 1, terrain: 'desert', number: null },
+        { q: 1, r: 1, terrain: 'hills', number: 2 },
+        { q: -2, r: 0, terrain: 'fields', number: 4 },
+        { q: -1, r: 0, terrain: 'forest', number: 3 },
+        { q: 0, r: 0, terrain: 'fields', number: 8 },
+        { q: 1, r: 0, terrain: 'forest', number: 5 },
+        { q: 2, r: 0, terrain: 'pasture', number: 9 },
+        { q: -1, r: -1, terrain: 'pasture', number: 8 },
+        { q: 0, r: -1, terrain: 'mountains', number: 11 },
+        { q: 1, r: -1, terrain: 'pasture', number: 12 },
+        { q: 2, r: -1, terrain: 'fields', number: 4 },
+        { q: 0, r: -2, terrain: 'hills', number: 5 },
+        { q: 1, r: -2, terrain: 'forest', number: 10 },
+        { q: 2, r: -2, terrain: 'mountains', number: 6 }
+    ],
+    starts: [
+        [{ q: -2, r: 2, corner: 1, side: 1 }, { q: -2, r: 2, corner: 5, side: 5 }],
+        [{ q: 1, r: 0, corner: 1, side: 1 }, { q: 1, r: -1, corner: 0, side: 0 }],
+        [{ q: -1, r: -1, corner: 1, side: 1 }, { q: 0, r: 0, corner: 1, side: 1 }],
+        [{ q: -2, r: 0, corner: 1, side: 1 }, { q: -1, r: 1, corner: 0, side: 0 }]
+    ]
+});
+
+BoardPresets.register({
+    name: 'balanced-3',
+    title: 'Balanced III',
+    description: 'Desert above the center, both 8s on the right-hand coast',
+    boardType: 'standard',
+    hexes: [
+        { q: -2, r: 2, terrain: 'forest', number: 11 },
+        { q: -1, r: 2, terrain: 'pasture', number: 5 },
+        { q: 0, r: 2, terrain: 'forest', number: 6 },
+        { q: -2, r: 1, terrain: 'pasture', number: 6 },
+        { q: -1, r: 1, terrain: 'fields', number: 12 },
+        { q: 0, r: 1, terrain: 'desert', number: null },
+        { q: 1, r: 1, terrain: 'mountains', number: 11 },
+        { q: -2, r: 0, terrain: 'forest', number: 3 },
+        { q: -1, r: 0, terrain: 'mountains', number: 10 },
+        { q: 0, r: 0, terrain: 'hills', number: 9 },
+        { q: 1, r: 0, terrain: 'pasture', number: 2 },
+        { q: 2, r: 0, terrain: 'fields', number: 8 },
+        { q: -1, r: -1, terrain: 'hills', number: 9 },
+        { q: 0, r: -1, terrain: 'pasture', number: 5 },
+        { q: 1, r: -1, terrain: 'fields', number: 4 },
+        { q: 2, r: -1, terrain: 'hills', number: 3 },
+        { q: 0, r: -2, terrain: 'fields', number: 4 },
+        { q: 1, r: -2, terrain: 'forest', number: 10 },
+        { q: 2, r: -2, terrain: 'mountains', number: 8 }
+    ],
+    starts: [
+        [{ q: -1, r: 0, corner: 0, side: 0 }, { q: -2, r: 2, corner: 0, side: 0 }],
+        [{ q: 0, r: 0, corner: 0, side: 0 }, { q: -1, r: 2, corner: 1, side: 1 }],
+        [{ q: 1, r: -1, corner: 0, side: 0 }, { q: 1, r: 0, corner: 1, side: 1 }],
+        [{ q: -2, r: 1, corner: 0, side: 0 }, { q: 0, r: -1, corner: 0, side: 0 }]
+    ]
+});
+
+// Seafarers: the balanced-1 main island, a sea channel (listed so the islands join the board)
+// and three small islands with the two gold fields. Starting settlements stay on the main island
+BoardPresets.register({
+    name: 'new-shores',
+    title: 'Heading for New Shores',
+    description: 'Seafarers: sail to three small islands, 2 points for the first settlement on each, 14 to win',
+    boardType: 'seafarers',
+    seafarers: true,
+    homeIsland: { q: 0, r: 0 },
+    islandBonus: 2,
+    victoryPoints: 14,
+    hexes: [
+        // Main island
+        { q: -2, r: 2, terrain: 'mountains', number: 6 },
+        { q: -1, r: 2, terrain: 'hills', number: 11 },
+        { q: 0, r: 2, terrain: 'fields', number: 5 },
+        { q: -2, r: 1, terrain: 'forest', number: 3 },
+        { q: -1, r: 1, terrain: 'pasture', number: 10 },
+        { q: 0, r: 1, terrain: 'forest', number: 2 },
+        { q: 1, r: 1, terrain: 'hills', number: 9 },
+        { q: -2, r: 0, terrain: 'pasture', number: 9 },
+        { q: -1, r: 0, terrain: 'fields', number: 4 },
+        { q: 0, r: 0, terrain: 'desert', number: null },
+        { q: 1, r: 0, terrain: 'fields', number: 6 },
+        { q: 2, r: 0, terrain: 'pasture', number: 11 },
+        { q: -1, r: -1, terrain: 'hills', number: 10 },
+        { q: 0, r: -1, terrain: 'forest', number: 8 },
+        { q: 1, r: -1, terrain: 'pasture', number: 5 },
+        { q: 2, r: -1, terrain: 'mountains', number: 3 },
+        { q: 0, r: -2, terrain: 'mountains', number: 4 },
+        { q: 1, r: -2, terrain: 'fields', number: 12 },
+        { q: 2, r: -2, terrain: 'forest', number: 8 },
+        // The channel
+        { q: 1, r: 2, terrain: 'sea', number: null },
+        { q: 2, r: 1, terrain: 'sea', number: null },
+        { q: 3, r: 0, terrain: 'sea', number: null },
+        { q: 3, r: -1, terrain: 'sea', number: null },
+        { q: 3, r: -2, terrain: 'sea', number: null },
+        { q: 3, r: -3, terrain: 'sea', number: null },
+        { q: 2, r: -3, terrain: 'sea', number: null },
+        { q: 1, r: -3, terrain: 'sea', number: null },
+        // Small islands
+        { q: 2, r: 2, terrain: 'gold', number: 11 },
+        { q: 3, r: 2, terrain: 'hills', number: 5 },
+        { q: 3, r: 1, terrain: 'fields', number: 8 },
+        { q: 4, r: -1, terrain: 'hills', number: 10 },
+        { q: 4, r: -2, terrain: 'forest', number: 6 },
+        { q: 5, r: -2, terrain: 'pasture', number: 3 },
+        { q: 2, r: -4, terrain: 'mountains', number: 9 },
+        { q: 3, r: -4, terrain: 'gold', number: 4 }
+    ],
+    ports: [
+        { q: -2, r: 0, side: 5, type: 'generic' },
+        { q: 0, r: -2, side: 4, type: 'grain' },
+        { q: 1, r: -2, side: 0, type: 'ore' },
+        { q: 2, r: -2, side: 1, type: 'generic' },
+        { q: 2, r: 0, side: 0, type: 'wool' },
+        { q: 1, r: 1, side: 2, type: 'generic' },
+        { q: 0, r: 2, side: 3, type: 'generic' },
+        { q: -2, r: 2, side: 2, type: 'brick' },
+        { q: -2, r: 1, side: 4, type: 'lumber' }
+    ],
+    starts: [
+        [{ q: 1, r: 1, corner: 0, side: 0 }, { q: 2, r: -1, corner: 0, side: 0 }],
+        [{ q: -1, r: 0, corner: 0, side: 0 }, { q: -2, r: 1, corner: 0, side: 0 }],
+        [{ q: 1, r: 0, corner: 0, side: 0 }, { q: 0, r: -1, corner: 1, side: 1 }],
+        [{ q: -2, r: 2, corner: 0, side: 0 }, { q: 0, r: 2, corner: 0, side: 0 }]
+    ]
+});
@@ -0,0 +1,838 @@
+/**
+ * CitiesAndKnights - Optional Cities & Knights rule module, layered on a Game
+ * Created by new Game({ citiesAndKnights: true }) as game.citiesAndKnights. The base engine only
+ * calls its hooks (Game.HOOKS, Player.victoryPointHooks) and knows nothing of these rules.
+ *
+ * Covers the setup city, commodities, city improvements and metropolises, knights, the barbarian
+ * ship and progress cards (which replace development cards). Not included: city walls, the merchant,
+ * knight moves (displacing, chasing the robber) and the robber waiting for the first attack.
+ */
+class CitiesAndKnights {
+    constructor(game) {
+        this.game = game;
+        
+        // Event die, rolled with the number dice; game.dice[0] is the red die
+        this.eventDie = new Dice(game.random);
+        this.lastEvent = null;
+        
+        // Barbarian ship: one step per ship face, attacks at the end of the track
+        this.barbarianPosition = 0;
+        this.barbarianAttacks = 0;
+        
+        // Player -> { improvements, knights, progressCards, defenderPoints, progressPoints }
+        this.playerStates = new Map();
+        
+        // Per improvement track: the City carrying its metropolis (or null), and the progress deck
+        this.metropolises = {};
+        this.progressDecks = {};
+        CitiesAndKnights.TRACKS.forEach(track => {
+            this.metropolises[track] = null;
+            this.progressDecks[track] = this.createProgressDeck(track);
+        });
+        
+        // Commodities are cards like resources: the bank holds them and they count towards a hand
+        CitiesAndKnights.COMMODITIES.forEach(commodity => {
+            game.bank.resources[commodity] = CitiesAndKnights.CARDS_PER_COMMODITY;
+        });
+        
+        // Progress cards replace development cards
+        delete game.actionStates.buyDevelopmentCard;
+        delete game.actionStates.playDevelopmentCard;
+        Object.assign(game.actionStates, CitiesAndKnights.ACTION_STATES);
+        
+        game.addHook('addPlayer', player => this.addPlayer(player));
+        game.addHook('setupSettlement', (player, vertex, setupRound) => this.placeSetupCity(player, vertex, setupRound));
+        game.addHook('rollDice', diceResult => this.resolveEventDie(diceResult));
+        game.addHook('production', (owed, diceRoll) => this.addCommodities(owed, diceRoll));
+        
+        // 13 points, unless the house rules set a target
+        if (!game.rules.targetVictoryPoints) {
+            game.targetVictoryPoints = CitiesAndKnights.TARGET_VICTORY_POINTS;
+        }
+        
+        this.id = 'cities_and_knights';
+    }
+    
+    /**
+     * 'setupSettlement' hook: the second setup piece is a city
+     */
+    placeSetupCity(player, vertex, setupRound) {
+        if (setupRound !== 2) return;
+        
+        if (player.buildCity(vertex, true)) {
+            this.game.logEvent(`${player.name}'s second settlement becomes a city`);
+        }
+    }
+    
+    /**
+     * 'addPlayer' hook: commodity cards, improvement tracks and the victory point hook
+     */
+    addPlayer(player) {
+        this.playerStates.set(player, {
+            improvements: { science: 0, trade: 0, politics: 0 }, // Levels 0-5
+            knights: [],
+            progressCards: [], // Card types in hand (victory point cards are never held)
+            defenderPoints: 0, // Defender of Catan cards
+            progressPoints: 0 // Printer and constitution
+        });
+        
+        // Commodities trade 4:1 like resources; harbors and the trading house lower it
+        CitiesAndKnights.COMMODITIES.forEach(commodity => {
+            player.resources[commodity] = 0;
+            player.tradeRatios[commodity] = 4;
+        });
+        
+        player.victoryPointHooks.push(hookedPlayer => this.getVictoryPoints(hookedPlayer));
+    }
+    
+    /**
+     * Get a player's Cities & Knights state
+     */
+    getPlayerState(player) {
+        return this.playerStates.get(player) || null;
+    }
+    
+    /**
+     * Get a player's level (0-5) on an improvement track
+     */
+    getImprovementLevel(player, track) {
+        const state = this.getPlayerState(player);
+        return state ? state.improvements[track] : 0;
+    }
+    
+    /**
+     * Get a player's knights on the board
+     */
+    getKnights(player) {
+        const state = this.getPlayerState(player);
+        return state ? state.knights : [];
+    }
+    
+    /**
+     * Victory point hook: metropolises, Defender of Catan and victory point progress cards
+     */
+    getVictoryPoints(player) {
+        const state = this.getPlayerState(player);
+        if (!state) return 0;
+        
+        const metropolises = Object.values(this.metropolises).filter(city => city && city.owner === player).length;
+        return metropolises * CitiesAndKnights.METROPOLIS_POINTS + state.defenderPoints + state.progressPoints;
+    }
+    
+    /**
+     * 'rollDice' hook: roll the event die - the barbarians advance, or a gate opens progress cards
+     */
+    resolveEventDie(diceResult) {
+        const event = CitiesAndKnights.EVENT_FACES[this.eventDie.roll() - 1];
+        diceResult.event = event;
+        this.lastEvent = event;
+        
+        if (event === 'ship') {
+            this.advanceBarbarians();
+        } else {
+            this.game.logEvent(`Event die: ${event} gate (red die ${diceResult.die1})`);
+            this.drawProgressCards(event, diceResult.die1);
+        }
+    }
+    
+    /**
+     * Move the barbarian ship one step; at the end of the track it attacks
+     */
+    advanceBarbarians() {
+        this.barbarianPosition++;
+        this.game.logEvent(`The barbarians advance (${this.barbarianPosition}/${CitiesAndKnights.BARBARIAN_TRACK_LENGTH})`);
+        
+        if (this.barbarianPosition >= CitiesAndKnights.BARBARIAN_TRACK_LENGTH) {
+            this.resolveBarbarianAttack();
+        }
+    }
+    
+    /**
+     * Total number of cities on the board (the barbarians' strength)
+     */
+    getBarbarianStrength() {
+        return this.game.players.reduce((sum, player) => sum + player.cities.length, 0);
+    }
+    
+    /**
+     * Strength of a player's active knights
+     */
+    getDefense(player) {
+        return this.getKnights(player).reduce((sum, knight) => sum + knight.getDefense(), 0);
+    }
+    
+    /**
+     * The barbarians land: active knights against the number of cities
+     * Defenders win: the strongest defender becomes Defender of Catan (+1 point), a tie draws progress cards
+     * Barbarians win: the weakest defenders with a city outside a metropolis each lose a city
+     * Afterwards every knight is deactivated and the ship sails back to the start
+     */
+    resolveBarbarianAttack() {
+        const players = this.game.players;
+        const strength = this.getBarbarianStrength();
+        const defense = new Map(players.map(player => [player, this.getDefense(player)]));
+        const totalDefense = Array.from(defense.values()).reduce((sum, value) => sum + value, 0);
+        
+        this.barbarianAttacks++;
+        this.barbarianPosition = 0;
+        this.game.logEvent(`The barbarians attack: ${strength} against ${totalDefense} knights`);
+        
+        let winner = null;
+        if (strength === 0) {
+            this.game.logEvent('The barbarians find no cities to plunder');
+        } else if (totalDefense >= strength) {
+            winner = 'defenders';
+            const best = Math.max(...defense.values());
+            const leaders = players.filter(player => defense.get(player) === best);
+            
+            if (leaders.length === 1) {
+                this.getPlayerState(leaders[0]).defenderPoints++;
+                leaders[0].updateVictoryPoints();
+                this.game.logEvent(`${leaders[0].name} is the Defender of Catan (+1 victory point)`);
+            } else {
+                leaders.forEach(player => this.drawProgressCard(player, this.getBestTrack(player)));
+            }
+        } else {
+            winner = 'barbarians';
+            const exposed = players.filter(player => player.cities.some(city => !city.metropolis));
+            const weakest = Math.min(...exposed.map(player => defense.get(player)));
+            exposed
+                .filter(player => defense.get(player) === weakest)
+                .forEach(player => this.pillageCity(player));
+        }
+        
+        players.forEach(player => {
+            this.getKnights(player).forEach(knight => {
+                knight.active = false;
+            });
+        });
+        
+        return { strength, defense: totalDefense, winner };
+    }
+    
+    /**
+     * Reduce one of the player's cities (not a metropolis) back to a settlement
+     */
+    pillageCity(player) {
+        const city = player.cities.find(candidate => !candidate.metropolis);
+        if (!city) return null;
+        
+        const vertex = city.vertex;
+        city.remove();
+        city.vertex = null;
+        player.cities.splice(player.cities.indexOf(city), 1);
+        player.citiesRemaining++;
+        
+        // Without a settlement piece in supply the city is simply lost
+        const settlement = new Settlement(player);
+        if (player.settlementsRemaining > 0 && settlement.placeOn(vertex)) {
+            player.settlements.push(settlement);
+            player.settlementsRemaining--;
+        }
+        
+        player.updateVictoryPoints();
+        this.game.logEvent(`The barbarians reduce ${player.name}'s city to a settlement`);
+        return city;
+    }
+    
+    /**
+     * Improvement track a player is furthest along (science first on a tie)
+     */
+    getBestTrack(player) {
+        return CitiesAndKnights.TRACKS.reduce((best, track) =>
+            this.getImprovementLevel(player, track) > this.getImprovementLevel(player, best) ? track : best
+        );
+    }
+    
+    /**
+     * A gate opened: from the current player round the table, everyone whose improvement
+     * level on the track is at least 1 and at least the red die minus 1 draws a card
+     */
+    drawProgressCards(track, redDie) {
+        const players = this.game.players;
+        for (let offset = 0; offset < players.length; offset++) {
+            const player = players[(this.game.currentPlayerIndex + offset) % players.length];
+            const level = this.getImprovementLevel(player, track);
+            if (level > 0 && redDie <= level + 1) {
+                this.drawProgressCard(player, track);
+            }
+        }
+    }
+    
+    /**
+     * Draw the top progress card of a track, or null (deck empty, or the hand is full)
+     * Victory point cards are revealed at once instead of being held
+     */
+    drawProgressCard(player, track) {
+        const state = this.getPlayerState(player);
+        if (state.progressCards.length >= CitiesAndKnights.PROGRESS_HAND_LIMIT) {
+            this.game.logEvent(`${player.name} already holds ${CitiesAndKnights.PROGRESS_HAND_LIMIT} progress cards`);
+            return null;
+        }
+        
+        const card = this.progressDecks[track].pop();
+        if (!card) return null;
+        
+        if (CitiesAndKnights.VICTORY_POINT_CARDS.includes(card)) {
+            state.progressPoints++;
+            player.updateVictoryPoints();
+            this.game.logEvent(`${player.name} revealed ${card} (+1 victory point)`);
+        } else {
+            state.progressCards.push(card);
+            this.game.logEvent(`${player.name} drew a ${track} progress card`);
+        }
+        return card;
+    }
+    
+    /**
+     * Create a shuffled progress deck (top card is the last element)
+     */
+    createProgressDeck(track) {
+        const deck = [];
+        for (let [card, count] of Object.entries(CitiesAndKnights.PROGRESS_DECKS[track])) {
+            for (let i = 0; i < count; i++) {
+                deck.push(card);
+            }
+        }
+        return this.game.shuffleArray(deck);
+    }
+    
+    /**
+     * 'production' hook: a city on forest, pasture or mountains takes 1 commodity in place of
+     * its second resource. Science level 3 (aqueduct): a player producing nothing picks a resource
+     */
+    addCommodities(owed, diceRoll) {
+        this.game.players.forEach(player => {
+            const production = owed.get(player);
+            
+            player.cities.forEach(city => {
+                city.vertex.hexes.forEach(hex => {
+                    const commodity = CitiesAndKnights.COMMODITY_TERRAINS[hex.terrain];
+                    if (!commodity || !hex.shouldProduce(diceRoll)) return;
+                    
+                    production[hex.getResourceType()]--;
+                    production[commodity] = (production[commodity] || 0) + 1;
+                });
+            });
+            
+            const aqueduct = this.getImprovementLevel(player, 'science') >= CitiesAndKnights.ABILITY_LEVEL;
+            if (aqueduct && !production && !this.game.pendingGoldPicks.has(player)) {
+                this.game.pendingGoldPicks.set(player, 1);
+            }
+        });
+    }
+    
+    /**
+     * Buy the next level of a city improvement track with its commodity (level n costs n)
+     * Level 3 unlocks the track's ability, level 4 can win the metropolis
+     */
+    improveCity(track, player = null) {
+        player = player || this.game.getActivePlayer();
+        
+        const rejection = this.game.validateAction('improveCity', player);
+        if (rejection) return rejection;
+        
+        if (!CitiesAndKnights.TRACKS.includes(track)) {
+            return this.game.reject('INVALID_ARGUMENTS', `Unknown improvement track ${track}`);
+        }
+        
+        if (player.cities.length === 0) {
+            return this.game.reject('NO_CITY', 'City improvements need a city');
+        }
+        
+        const state = this.getPlayerState(player);
+        const level = state.improvements[track];
+        if (level >= CitiesAndKnights.MAX_IMPROVEMENT_LEVEL) {
+            return this.game.reject('MAX_LEVEL', `${track} is already at level ${level}`);
+        }
+        
+        const cost = { [CitiesAndKnights.TRACK_COMMODITIES[track]]: level + 1 };
+        if (!this.game.bank.collect(player, cost)) {
+            return this.game.reject('CANNOT_AFFORD', `${track} level ${level + 1} costs ${this.game.formatResourceMap(cost)}`);
+        }
+        
+        state.improvements[track] = level + 1;
+        this.game.logEvent(`${player.name} improved ${track} to level ${level + 1}`);
+        
+        // Trading house: commodities go to the bank at 2:1
+        if (track === 'trade' && level + 1 === CitiesAndKnights.ABILITY_LEVEL) {
+            CitiesAndKnights.COMMODITIES.forEach(commodity => {
+                player.tradeRatios[commodity] = Math.min(player.tradeRatios[commodity], 2);
+            });
+        }
+        
+        this.updateMetropolis(track);
+        this.game.checkWinCondition();
+        return this.game.success({ track, level: level + 1 });
+    }
+    
+    /**
+     * Recompute who holds a track's metropolis: the first player to reach level 4 builds it
+     * on a city, and it only moves to a player with a strictly higher level
+     * Returns the holder
+     */
+    updateMetropolis(track) {
+        const current = this.metropolises[track];
+        const previousHolder = current ? current.owner : null;
+        let holder = previousHolder;
+        let holderLevel = holder ? this.getImprovementLevel(holder, track) : CitiesAndKnights.METROPOLIS_LEVEL - 1;
+        
+        for (let player of this.game.players) {
+            const level = this.getImprovementLevel(player, track);
+            if (level > holderLevel && player.cities.some(city => !city.metropolis)) {
+                holder = player;
+                holderLevel = level;
+            }
+        }
+        
+        if (holder !== previousHolder) {
+            if (current) current.metropolis = null;
+            
+            const city = holder.cities.find(candidate => !candidate.metropolis);
+            city.metropolis = track;
+            this.metropolises[track] = city;
+            
+            if (previousHolder) previousHolder.updateVictoryPoints();
+            holder.updateVictoryPoints();
+            
+            const from = previousHolder ? ` from ${previousHolder.name}` : '';
+            this.game.logEvent(`${holder.name} takes the ${track} metropolis${from}`);
+        }
+        
+        return holder;
+    }
+    
+    /**
+     * Build a basic knight (inactive) on an empty spot touching the player's roads
+     */
+    buildKnight(vertex, player = null) {
+        player = player || this.game.getActivePlayer();
+        
+        const rejection = this.game.validateAction('buildKnight', player);
+        if (rejection) return rejection;
+        
+        if (!vertex || !vertex.canPlaceKnight(player)) {
+            return this.game.reject('INVALID_LOCATION', 'Knights need an empty spot on your road network');
+        }
+        
+        if (this.countKnights(player, 1) >= CitiesAndKnights.KNIGHT_LIMIT) {
+            return this.game.reject('NO_PIECES_LEFT', `${player.name} has no basic knights left`);
+        }
+        
+        if (!this.game.bank.collect(player, CitiesAndKnights.COSTS.knight)) {
+            return this.game.reject('CANNOT_AFFORD', 'A knight costs 1 wool and 1 ore');
+        }
+        
+        const knight = new Knight(player);
+        knight.placeOn(vertex);
+        knight.placedTurn = this.game.turnNumber;
+        this.getPlayerState(player).knights.push(knight);
+        
+        this.game.logEvent(`${player.name} built a knight`);
+        
+        // A knight cuts opponents' roads like a building
+        this.game.updateLongestRoad();
+        return this.game.success({ knight });
+    }
+    
+    /**
+     * Activate one of the player's knights (1 grain)
+     */
+    activateKnight(knight, player = null) {
+        player = player || this.game.getActivePlayer();
+        
+        const rejection = this.game.validateAction('activateKnight', player) || this.checkOwnKnight(knight, player);
+        if (rejection) return rejection;
+        
+        if (knight.active) {
+            return this.game.reject('ALREADY_ACTIVE', 'That knight is already active');
+        }
+        
+        if (!this.game.bank.collect(player, CitiesAndKnights.COSTS.activateKnight)) {
+            return this.game.reject('CANNOT_AFFORD', 'Activating a knight costs 1 grain');
+        }
+        
+        knight.active = true;
+        this.game.logEvent(`${player.name} activated a knight`);
+        return this.game.success({ knight });
+    }
+    
+    /**
+     * Promote one of the player's knights a level (1 wool and 1 ore), once per knight per turn
+     * Mighty knights (strength 3) need politics level 3 (the fortress)
+     */
+    promoteKnight(knight, player = null) {
+        player = player || this.game.getActivePlayer();
+        
+        const rejection = this.game.validateAction('promoteKnight', player) ||
+            this.checkOwnKnight(knight, player) ||
+            this.checkPromotion(knight, player);
+        if (rejection) return rejection;
+        
+        if (!this.game.bank.collect(player, CitiesAndKnights.COSTS.promoteKnight)) {
+            return this.game.reject('CANNOT_AFFORD', 'Promoting a knight costs 1 wool and 1 ore');
+        }
+        
+        this.promote(knight);
+        return this.game.success({ knight });
+    }
+    
+    /**
+     * Rejection unless the knight is on the board and belongs to the player, else null
+     */
+    checkOwnKnight(knight, player) {
+        if (!knight || !this.getKnights(player).includes(knight)) {
+            return this.game.reject('INVALID_ARGUMENTS', `That is not one of ${player.name}'s knights`);
+        }
+        return null;
+    }
+    
+    /**
+     * Rejection unless the knight can go up a level this turn, else null
+     */
+    checkPromotion(knight, player) {
+        if (knight.strength >= 3) {
+            return this.game.reject('MAX_STRENGTH', 'That knight is already mighty');
+        }
+        
+        if (knight.strength === 2 && this.getImprovementLevel(player, 'politics') < CitiesAndKnights.ABILITY_LEVEL) {
+            return this.game.reject('NEEDS_FORTRESS', 'Mighty knights need politics level 3');
+        }
+        
+        if (knight.promotedTurn === this.game.turnNumber) {
+            return this.game.reject('ALREADY_PROMOTED', 'A knight can only be promoted once per turn');
+        }
+        
+        if (this.countKnights(player, knight.strength + 1) >= CitiesAndKnights.KNIGHT_LIMIT) {
+            return this.game.reject('NO_PIECES_LEFT', `${player.name} has no stronger knights left`);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Raise a knight's strength (checks and payment are up to the caller)
+     */
+    promote(knight) {
+        knight.strength++;
+        knight.promotedTurn = this.game.turnNumber;
+        this.game.logEvent(`${knight.owner.name} promoted a knight to strength ${knight.strength}`);
+    }
+    
+    /**
+     * Count a player's knights of one strength (each strength has its own pieces)
+     */
+    countKnights(player, strength) {
+        return this.getKnights(player).filter(knight => knight.strength === strength).length;
+    }
+    
+    /**
+     * Play a progress card from the current player's hand (any number per turn)
+     * args: roadBuilding { edges }, smith { knights }, resourceMonopoly { resource },
+     * tradeMonopoly { commodity }, masterMerchant { victim }; the others take none
+     */
+    playProgressCard(type, args = {}) {
+        const player = this.game.getCurrentPlayer();
+        
+        const rejection = this.game.validateAction('playProgressCard', player);
+        if (rejection) return rejection;
+        
+        const state = this.getPlayerState(player);
+        const index = state.progressCards.indexOf(type);
+        if (index === -1) {
+            return this.game.reject('NO_CARD', `${player.name} holds no ${type} card`);
+        }
+        
+        let result = null;
+        switch (type) {
+            case 'irrigation':
+                result = this.playHarvest(player, 'fields', 'grain');
+                break;
+            case 'mining':
+                result = this.playHarvest(player, 'mountains', 'ore');
+                break;
+            case 'roadBuilding':
+                result = this.game.playRoadBuilding(player, args);
+                break;
+            case 'smith':
+                result = this.playSmith(player, args);
+                break;
+            case 'resourceMonopoly':
+                result = this.playResourceMonopoly(player, args);
+                break;
+            case 'tradeMonopoly':
+                result = this.playTradeMonopoly(player, args);
+                break;
+            case 'masterMerchant':
+                result = this.playMasterMerchant(player, args);
+                break;
+            case 'warlord':
+                result = this.playWarlord(player);
+                break;
+            case 'wedding':
+                result = this.playWedding(player);
+                break;
+        }
+        
+        if (!result.ok) {
+            return result;
+        }
+        
+        state.progressCards.splice(index, 1);
+        this.game.checkWinCondition();
+        
+        return this.game.success({ type, ...result });
+    }
+    
+    /**
+     * Irrigation and mining: 2 cards for each hex of the terrain next to the player's buildings
+     */
+    playHarvest(player, terrain, resource) {
+        const hexes = new Set();
+        [...player.settlements, ...player.cities].forEach(building => {
+            building.vertex.hexes
+                .filter(hex => hex.terrain === terrain)
+                .forEach(hex => hexes.add(hex));
+        });
+        
+        const amount = Math.min(hexes.size * 2, this.game.bank.getSupply(resource));
+        if (amount > 0) {
+            this.game.bank.pay(player, { [resource]: amount });
+        }
+        
+        this.game.logEvent(`${player.name} harvested ${amount} ${resource}`);
+        return this.game.success({ resource, amount });
+    }
+    
+    /**
+     * Smith: promote up to 2 different knights for free
+     */
+    playSmith(player, { knights = [] }) {
+        if (knights.length === 0 || knights.length > 2) {
+            return this.game.reject('INVALID_ARGUMENTS', 'The smith promotes 1 or 2 knights');
+        }
+        
+        if (knights.length === 2 && knights[0] === knights[1]) {
+            return this.game.reject('INVALID_ARGUMENTS', 'The smith promotes 2 different knights');
+        }
+        
+        for (let knight of knights) {
+            const rejection = this.checkOwnKnight(knight, player) || this.checkPromotion(knight, player);
+            if (rejection) return rejection;
+        }
+        
+        // Two knights of the same strength need two pieces of the next strength
+        if (knights.length === 2 && knights[0].strength === knights[1].strength &&
+            this.countKnights(player, knights[0].strength + 1) + 2 > CitiesAndKnights.KNIGHT_LIMIT) {
+            return this.game.reject('NO_PIECES_LEFT', `${player.name} has no stronger knights left`);
+        }
+        
+        knights.forEach(knight => this.promote(knight));
+        return this.game.success({ knights });
+    }
+    
+    /**
+     * Resource monopoly: every other player hands over up to 2 of one resource
+     */
+    playResourceMonopoly(player, { resource }) {
+        if (!Bank.RESOURCE_TYPES.includes(resource)) {
+            return this.game.reject('INVALID_ARGUMENTS', 'Resource monopoly needs a resource type');
+        }
+        
+        const taken = this.takeFromOthers(player, resource, 2);
+        this.game.logEvent(`${player.name} played resource monopoly and took ${taken} ${resource}`);
+        return this.game.success({ resource, taken });
+    }
+    
+    /**
+     * Trade monopoly: every other player hands over 1 of one commodity
+     */
+    playTradeMonopoly(player, { commodity }) {
+        if (!CitiesAndKnights.COMMODITIES.includes(commodity)) {
+            return this.game.reject('INVALID_ARGUMENTS', 'Trade monopoly needs a commodity');
+        }
+        
+        const taken = this.takeFromOthers(player, commodity, 1);
+        this.game.logEvent(`${player.name} played trade monopoly and took ${taken} ${commodity}`);
+        return this.game.success({ commodity, taken });
+    }
+    
+    /**
+     * Move up to limit cards of one type from every other player to the player
+     * Returns how many were taken
+     */
+    takeFromOthers(player, resource, limit) {
+        let taken = 0;
+        this.game.players.forEach(other => {
+            if (other === player) return;
+            
+            const amount = Math.min(limit, other.resources[resource]);
+            if (amount > 0) {
+                other.removeResources(resource, amount);
+                player.addResources(resource, amount);
+                taken += amount;
+            }
+        });
+        return taken;
+    }
+    
+    /**
+     * Master merchant: take 2 random cards from a player with more victory points
+     */
+    playMasterMerchant(player, { victim }) {
+        if (!victim || victim === player || victim.victoryPoints <= player.victoryPoints) {
+            return this.game.reject('INVALID_VICTIM', 'The master merchant needs a player with more victory points');
+        }
+        
+        const cards = this.takeRandomCards(victim, player, 2);
+        this.game.logEvent(`${player.name} played master merchant on ${victim.name}`);
+        return this.game.success({ victim, cards });
+    }
+    
+    /**
+     * Warlord: activate all of the player's knights for free
+     */
+    playWarlord(player) {
+        const knights = this.getKnights(player).filter(knight => !knight.active);
+        knights.forEach(knight => {
+            knight.active = true;
+        });
+        
+        this.game.logEvent(`${player.name} played warlord and activated ${knights.length} knight(s)`);
+        return this.game.success({ knights });
+    }
+    
+    /**
+     * Wedding: every player with more victory points gives the player 2 random cards
+     */
+    playWedding(player) {
+        const givers = this.game.players.filter(other => other.victoryPoints > player.victoryPoints);
+        givers.forEach(giver => this.takeRandomCards(giver, player, 2));
+        
+        this.game.logEvent(`${player.name} played wedding - ${givers.length} player(s) gave gifts`);
+        return this.game.success({ givers });
+    }
+    
+    /**
+     * Move up to count random cards (resources or commodities) from one hand to another
+     * Returns the card types moved
+     */
+    takeRandomCards(from, to, count) {
+        const moved = [];
+        for (let i = 0; i < count && from.getTotalResources() > 0; i++) {
+            const cards = [];
+            for (let [resource, amount] of Object.entries(from.resources)) {
+                for (let j = 0; j < amount; j++) {
+                    cards.push(resource);
+                }
+            }
+            
+            const resource = this.game.random.pick(cards);
+            from.removeResources(resource, 1);
+            to.addResources(resource, 1);
+            moved.push(resource);
+        }
+        return moved;
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        return `CitiesAndKnights - barbarians ${this.barbarianPosition}/${CitiesAndKnights.BARBARIAN_TRACK_LENGTH}, ` +
+            `${this.barbarianAttacks} attack(s)`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        const metropolises = {};
+        const progressCardsLeft = {};
+        CitiesAndKnights.TRACKS.forEach(track => {
+            metropolises[track] = this.metropolises[track] ? this.metropolises[track].owner.name : null;
+            progressCardsLeft[track] = this.progressDecks[track].length;
+        });
+        
+        return {
+            id: this.id,
+            lastEvent: this.lastEvent,
+            barbarianPosition: this.barbarianPosition,
+            barbarianAttacks: this.barbarianAttacks,
+            barbarianStrength: this.getBarbarianStrength(),
+            metropolises,
+            progressCardsLeft,
+            players: this.game.players.map(player => {
+                const state = this.getPlayerState(player);
+                return {
+                    name: player.name,
+                    improvements: { ...state.improvements },
+                    knights: state.knights.map(knight => knight.getDebugInfo()),
+                    defense: this.getDefense(player),
+                    progressCards: [...state.progressCards],
+                    defenderPoints: state.defenderPoints,
+                    progressPoints: state.progressPoints
+                };
+            })
+        };
+    }
+}
+
+/**
+ * City improvement tracks, the commodity each is bought with, and the terrain each commodity comes from
+ */
+CitiesAndKnights.TRACKS = ['science', 'trade', 'politics'];
+CitiesAndKnights.TRACK_COMMODITIES = { science: 'paper', trade: 'cloth', politics: 'coin' };
+CitiesAndKnights.COMMODITIES = ['paper', 'cloth', 'coin'];
+CitiesAndKnights.COMMODITY_TERRAINS = { forest: 'paper', pasture: 'cloth', mountains: 'coin' };
+CitiesAndKnights.CARDS_PER_COMMODITY = 12;
+
+/**
+ * Improvement levels: level 3 unlocks the aqueduct (science), trading house (trade) and
+ * fortress (politics); level 4 can win the track's metropolis (+2 points)
+ */
+CitiesAndKnights.MAX_IMPROVEMENT_LEVEL = 5;
+CitiesAndKnights.ABILITY_LEVEL = 3;
+CitiesAndKnights.METROPOLIS_LEVEL = 4;
+CitiesAndKnights.METROPOLIS_POINTS = 2;
+
+/**
+ * Event die faces: three barbarian ships and one gate per track
+ */
+CitiesAndKnights.EVENT_FACES = ['ship', 'ship', 'ship', 'science', 'trade', 'politics'];
+CitiesAndKnights.BARBARIAN_TRACK_LENGTH = 7;
+
+/**
+ * Knight pieces per strength, and the knight costs
+ */
+CitiesAndKnights.KNIGHT_LIMIT = 2;
+CitiesAndKnights.COSTS = {
+    knight: { wool: 1, ore: 1 },
+    activateKnight: { grain: 1 },
+    promoteKnight: { wool: 1, ore: 1 }
+};
+
+/**
+ * Progress decks - a playable subset of the printed cards. Printer and constitution
+ * are victory point cards, revealed when drawn
+ */
+CitiesAndKnights.PROGRESS_DECKS = {
+    science: { irrigation: 2, mining: 2, roadBuilding: 2, smith: 2, printer: 1 },
+    trade: { resourceMonopoly: 4, tradeMonopoly: 2, masterMerchant: 2 },
+    politics: { warlord: 2, wedding: 2, constitution: 1 }
+};
+CitiesAndKnights.VICTORY_POINT_CARDS = ['printer', 'constitution'];
+CitiesAndKnights.PROGRESS_HAND_LIMIT = 4;
+
+CitiesAndKnights.TARGET_VICTORY_POINTS = 13;
+
+/**
+ * Turn states that allow the module's actions (merged into game.actionStates)
+ */
+CitiesAndKnights.ACTION_STATES = {
+    buildKnight: ['main', 'special-build'],
+    activateKnight: ['main', 'special-build'],
+    promoteKnight: ['main', 'special-build'],
+    improveCity: ['main', 'special-build'],
+    playProgressCard: ['main']
+};
@@ -1,15 +1,16 @@
 /**
- * Edge - Represents a side between two hexes where roads can be placed
+ * Edge - Represents a side between two hexes where roads (on land) or ships (at sea) can be placed
  */
 class Edge {
     constructor(q, r, direction) {
         // Edge coordinates - hex coordinates + direction (0-5)
         this.q = q;
         this.r = r;
-        this.direction = direction; // 0=NE, 1=E, 2=SE, 3=SW, 4=W, 5=NW
+        this.direction = direction; // 0=NE, 1=E, 2=SE, 3=SW, 4=W, 5=NW (board edges are canonical NE, E or SE)
         
         // Game state
         this.road = null; // Road object
+        this.ship = null; // Ship object (Seafarers)
         
         // Relationships - will be populated by Board
         this.hexes = []; // Exactly 2 Hex objects (or 1 if on board edge)
@@ -25,22 +26,24 @@ class Edge {
     
     /**
      * Check if a road can be placed here
-     * Rules: No road here, must connect to player's existing road or settlement
+     * Rules: No road here, must connect to player's existing road or settlement,
+     * and a road cannot extend through an opponent's building
      */
     canPlaceRoad(player) {
-        // Already has a road
-        if (this.road) return false;
+        // Already has a road or ship, or runs between two sea hexes
+        if (this.road || this.ship || !this.isOnLand()) return false;
         
-        // Check if player has a settlement/city on either vertex
         for (let vertex of this.vertices) {
+            // Player has a settlement/city on this end
             if (vertex.building && vertex.building.owner === player) {
                 return true;
             }
-        }
-        
-        // Check if connected to player's existing road network
-        for (let edge of this.adjacentEdges) {
-            if (edge.road && edge.road.owner === player) {
+            
+            // Opponent's building cuts the connection through this end
+            if (vertex.isBlockedFor(player)) continue;
+            
+            // Connected to player's existing road network through this end
+            if (vertex.edges.some(edge => edge !== this && edge.road && edge.road.owner === player)) {
                 return true;
             }
         }
@@ -61,39 +64,106 @@ class Edge {
     }
     
     /**
-     * Check if this edge is on the coast (borders sea)
+     * Check if a ship can be placed here (Seafarers)
+     * Rules: the edge borders sea, the pirate is not next to it, and it continues from the
+     * player's settlement/city or from one of the player's ships. Ships and roads only join at a building
+     */
+    canPlaceShip(player) {
+        if (this.road || this.ship || !this.isOnSea()) return false;
+        if (this.hexes.some(hex => hex.hasPirate)) return false;
+        
+        for (let vertex of this.vertices) {
+            if (vertex.building && vertex.building.owner === player) {
+                return true;
+            }
+            
+            if (vertex.isBlockedFor(player)) continue;
+            
+            if (vertex.edges.some(edge => edge !== this && edge.ship && edge.ship.owner === player)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Place a ship on this edge
+     */
+    placeShip(ship) {
+        if (this.canPlaceShip(ship.owner)) {
+            this.ship = ship;
+            ship.edge = this;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Check if ships can sail here: between two hexes, at least one of them sea
+     * (the outer rim of the sea frame is off limits)
+     */
+    isOnSea() {
+        return this.hexes.length === 2 && this.hexes.some(hex => hex.isSea());
+    }
+    
+    /**
+     * Get the road or ship on this edge, or null
+     */
+    getRoutePiece() {
+        return this.road || this.ship;
+    }
+    
+    /**
+     * Check if this edge borders a land hex (roads need land, edges between two sea hexes have none)
+     */
+    isOnLand() {
+        return this.hexes.some(hex => !hex.isSea());
+    }
+    
+    /**
+     * Check if this edge is on the coast: land on one side, sea or the board edge on the other
      */
     isCoastal() {
-        return this.hexes.some(hex => hex.terrain === 'sea') ||
-               this.hexes.length < 2; // Edge of board
+        return this.isOnLand() &&
+               (this.hexes.some(hex => hex.isSea()) || this.hexes.length < 2); // Edge of board
     }
     
     /**
-     * Get the length of continuous road from this edge for a player
+     * Get the longest trail of a player's roads and ships (trade route) that starts on this edge
+     * Explores every branch with backtracking: an edge is used at most once per trail,
+     * vertices may be revisited (loops), opponent buildings stop the trail, and a trail
+     * only switches between road and ship at one of the player's buildings
      */
-    getRoadLength(player, visited = new Set()) {
+    getRoadLength(player, visited = new Set(), fromVertex = null) {
+        const piece = this.getRoutePiece();
         if (visited.has(this.id)) return 0;
-        if (!this.road || this.road.owner !== player) return 0;
+        if (!piece || piece.owner !== player) return 0;
         
         visited.add(this.id);
         let maxLength = 0;
         
-        // Check each vertex for continuing roads
+        // Continue out of every end except the one we came in through
         for (let vertex of this.vertices) {
+            if (vertex === fromVertex) continue;
+            
             // If vertex has opponent's building, road is blocked
-            if (vertex.building && vertex.building.owner !== player) {
-                continue;
-            }
+            if (vertex.isBlockedFor(player)) continue;
             
-            // Find adjacent edges with same player's roads
+            // Find adjacent edges with same player's roads and ships
             for (let edge of vertex.edges) {
-                if (edge !== this && edge.road && edge.road.owner === player) {
-                    const length = edge.getRoadLength(player, visited);
-                    maxLength = Math.max(maxLength, length);
-                }
+                const next = edge.getRoutePiece();
+                if (edge === this || !next || next.owner !== player) continue;
+                if (next.type !== piece.type && !vertex.building) continue;
+                
+                const length = edge.getRoadLength(player, visited, vertex);
+                maxLength = Math.max(maxLength, length);
             }
         }
         
+        // Free this edge for other branches
+        visited.delete(this.id);
+        
         return 1 + maxLength;
     }
     
@@ -101,20 +171,20 @@ class Edge {
      * Convert to pixel coordinates for rendering
      */
     toPixelCoordinates(hexSize = 1) {
+        // Same pointy-top layout as Hex.toPixelCoordinates
         const hexPos = { 
-            x: hexSize * (3/2 * this.q), 
-            z: hexSize * (Math.sqrt(3)/2 * this.q + Math.sqrt(3) * this.r) 
+            x: hexSize * Math.sqrt(3) * (this.q + this.r / 2), 
+            z: hexSize * 3/2 * this.r 
         };
         
         // Edge directions: 0=NE, 1=E, 2=SE, 3=SW, 4=W, 5=NW
-        const angles = [30, 90, 150, 210, 270, 330]; // degrees
-        const angle = angles[this.direction] * Math.PI / 180;
-        const radius = hexSize * Math.sqrt(3) / 4; // Distance from hex center to edge midpoint
+        const angle = (-60 + 60 * this.direction) * Math.PI / 180;
+        const radius = hexSize * Math.sqrt(3) / 2; // Distance from hex center to edge midpoint
         
         return {
             x: hexPos.x + radius * Math.cos(angle),
             z: hexPos.z + radius * Math.sin(angle),
-            rotation: angle // For rotating the road mesh
+            rotation: -angle // Turns a road mesh lying along z to run along the side
         };
     }
     
@@ -136,8 +206,9 @@ class Edge {
      * Debug representation
      */
     toString() {
-        const road = this.road ? `[road:${this.road.owner.color}]` : '';
-        return `Edge(${this.q},${this.r}:${this.direction})${road}`;
+        const piece = this.getRoutePiece();
+        const label = piece ? `[${piece.type}:${piece.owner.color}]` : '';
+        return `Edge(${this.q},${this.r}:${this.direction})${label}`;
     }
     
     /**
@@ -150,10 +221,14 @@ class Edge {
             road: this.road ? {
                 owner: this.road.owner.color
             } : null,
+            ship: this.ship ? {
+                owner: this.ship.owner.color
+            } : null,
             hexCount: this.hexes.length,
             vertexCount: this.vertices.length,
             adjacentEdgeCount: this.adjacentEdges.length,
             isCoastal: this.isCoastal(),
+            isOnSea: this.isOnSea(),
             canPlaceRoad: this.road ? false : 'depends on player'
         };
     }
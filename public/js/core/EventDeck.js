@@ -0,0 +1,126 @@
+/**
+ * EventDeck - Event card deck, a roll source used in place of the dice
+ * Created by new Game({ rollSource: 'eventDeck' }). The 36 cards are the 36 dice combinations,
+ * so numbers come up exactly as often as with dice over one pass through the deck. The deck is
+ * reshuffled once the fifth-from-last card has been drawn.
+ *
+ * Some cards other than the 7s carry an event (EventDeck.EVENTS); Game.resolveRollEvent applies
+ * it after production. With effects off the text is still shown but nothing happens.
+ */
+class EventDeck {
+    constructor(random = null, options = {}) {
+        this.random = random || new Random();
+        this.effects = options.effects !== false;
+        
+        this.cards = EventDeck.createCards();
+        this.drawPile = this.random.shuffle(this.cards);
+        this.discardPile = [];
+        this.lastCard = null;
+        this.reshuffles = 0;
+    }
+    
+    /**
+     * Draw the next card. Returns { die1, die2, total, event, text, reshuffled }
+     * event is null for plain cards and when effects are off
+     */
+    roll() {
+        const card = this.drawPile.shift();
+        this.discardPile.push(card);
+        this.lastCard = card;
+        
+        // Drawing the fifth-from-last card shuffles everything back, the last 4 are never drawn
+        const reshuffled = this.drawPile.length < EventDeck.RESHUFFLE_AT;
+        if (reshuffled) {
+            this.reshuffle();
+        }
+        
+        return {
+            die1: card.die1,
+            die2: card.die2,
+            total: card.total,
+            event: this.effects ? card.event : null,
+            text: card.event ? EventDeck.EVENTS[card.event].text : null,
+            reshuffled
+        };
+    }
+    
+    /**
+     * Shuffle every card back into the draw pile
+     */
+    reshuffle() {
+        this.drawPile = this.random.shuffle(this.cards);
+        this.discardPile = [];
+        this.reshuffles++;
+    }
+    
+    /**
+     * Cards left before the next reshuffle
+     */
+    getCardsUntilReshuffle() {
+        return this.drawPile.length - EventDeck.RESHUFFLE_AT + 1;
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        const last = this.lastCard ? `, last ${this.lastCard.total}` : '';
+        return `EventDeck(${this.drawPile.length}/${this.cards.length} cards${last})`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return {
+            type: 'eventDeck',
+            effects: this.effects,
+            drawPile: this.drawPile.length,
+            discardPile: this.discardPile.map(card => card.total),
+            lastCard: this.lastCard,
+            reshuffles: this.reshuffles
+        };
+    }
+}
+
+/**
+ * Build the 36 cards, one per dice combination, in a fixed order
+ * Events go to every third card other than the 7s, in the order of EventDeck.EVENTS
+ */
+EventDeck.createCards = function() {
+    const events = [];
+    Object.entries(EventDeck.EVENTS).forEach(([event, { count }]) => {
+        for (let i = 0; i < count; i++) {
+            events.push(event);
+        }
+    });
+    
+    const cards = [];
+    let numberCards = 0;
+    for (let die1 = 1; die1 <= 6; die1++) {
+        for (let die2 = 1; die2 <= 6; die2++) {
+            const total = die1 + die2;
+            let event = null;
+            if (total !== 7 && numberCards++ % 3 === 0) {
+                event = events.shift() || null;
+            }
+            cards.push({ die1, die2, total, event });
+        }
+    }
+    return cards;
+};
+
+/**
+ * Events, with the number of cards carrying each
+ */
+EventDeck.EVENTS = {
+    plentifulYear: { count: 3, text: 'Plentiful year: every player takes 1 resource of their choice' },
+    neighborlyAssistance: { count: 3, text: 'Neighborly assistance: the leaders each give a random card to the player with the fewest points' },
+    robberFlees: { count: 2, text: 'The robber flees back to the desert' },
+    tournament: { count: 2, text: 'Tournament: the players with the most knights played take 1 resource of their choice' }
+};
+
+/**
+ * Drawing the fifth-from-last card (leaving 4) reshuffles the deck
+ */
+EventDeck.RESHUFFLE_AT = 5;
@@ -1,317 +1,1826 @@
 /**
  * Game - Manages the entire Catan game: rules, turns, players, win conditions
  * The central game coordinator that enforces rules and manages game flow
+ *
+ * Turns run through an explicit state machine (see Game.TURN_STATES). Every public
+ * action is checked against the current state and returns a result object:
+ * { ok: true, ...payload } on success, { ok: false, reason, message } on rejection.
+ *
+ * All randomness (board, dice, development deck, steals) comes from one seeded
+ * generator: new Game({ seed }) replays the same game for the same actions.
+ *
+ * Optional rule modules (new Game({ citiesAndKnights: true })) layer on through
+ * hooks (see Game.HOOKS) and their own entries in game.actionStates.
+ *
+ * House rules come from the same options (see GameRules): new Game({ seed, friendlyRobber: true })
+ * or new Game(new GameRules({ ... })).
  */
 class Game {
-    constructor() {
+    constructor(options = {}) {
+        // House rules (a GameRules, or the matching keys of options)
+        this.rules = options instanceof GameRules ? options : new GameRules(options);
+        
+        // Seeded random source shared by every component
+        this.random = new Random(options.seed);
+        
         // Core game components
-        this.board = new Board();
+        this.board = new Board(this.random);
         this.players = [];
-        this.dice = [new Dice(), new Dice()];
+        this.dice = [new Dice(this.random), new Dice(this.random)];
+        this.rollSource = this.createRollSource(options);
+        
+        // Game state
+        this.gamePhase = 'waiting'; // 'waiting', 'setup', 'playing', 'finished'
+        this.turnState = null; // One of Game.TURN_STATES once the game has started
+        this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+        this.setupRound = 1; // Setup has 2 rounds
+        this.setupDirection = 1; // 1 = forward, -1 = reverse
+        this.setupSettlementVertex = null; // Settlement placed this setup turn
+        
+        // Turn state
+        this.diceResult = null;
+        this.hasPlayedDevelopmentCard = false;
+        this.hasMovedShip = false; // Seafarers: one ship move per turn
+        this.pendingGoldPicks = new Map(); // Player -> resources still to pick from gold fields
+        
+        // Robber sequence: state to return to once it is resolved, and who can be robbed
+        this.robberReturnState = null;
+        this.robberVictims = [];
+        this.pendingDiscards = new Map(); // Player -> number of cards still to discard
+        
+        // Special Build Phase (5-6 players): after each turn the others may build in order
+        this.specialBuildPhase = false;
+        this.specialBuilders = []; // Players still to build, the first one is building now
+        
+        // Player-to-player trade offers for the current turn
+        this.tradeOffers = [];
+        this.nextTradeOfferId = 1;
+        
+        // Resource supply and development card deck - every card moves through the bank
+        this.bank = new Bank(this.createDevelopmentDeck());
+        
+        // Game history and events
+        this.eventLog = [];
+        this.winner = null;
+        
+        // Special awards
+        this.longestRoadHolder = null;
+        this.longestRoadLength = 0;
+        this.largestArmyHolder = null;
+        
+        // Game settings
+        this.targetVictoryPoints = this.rules.targetVictoryPoints || Game.DEFAULT_VICTORY_POINTS;
+        this.maxPlayers = this.rules.maxPlayers;
+        this.rules.errors.forEach(error => this.logEvent(error));
+        
+        // Rule modules: hook functions by name, and the actions they add to or drop from the turn states
+        this.hooks = {};
+        this.actionStates = { ...Game.ACTION_STATES };
+        if (this.rules.tradeBeforeRoll) {
+            GameRules.TRADE_ACTIONS.forEach(action => {
+                this.actionStates[action] = ['pre-roll', ...this.actionStates[action]];
+            });
+        }
+        this.citiesAndKnights = options.citiesAndKnights ? new CitiesAndKnights(this) : null;
+        
+        this.id = 'game_main';
+    }
+    
+    /**
+     * Where numbers come from: options.rollSource 'dice' (default), 'eventDeck',
+     * or any object whose roll() returns { die1, die2, total } (plus optional event and text)
+     * options.eventEffects: false shows event cards without applying them
+     */
+    createRollSource(options) {
+        const source = options.rollSource || 'dice';
+        if (source === 'dice') {
+            return new DiceRollSource(this.dice);
+        }
+        if (source === 'eventDeck') {
+            return new EventDeck(this.random, { effects: options.eventEffects });
+        }
+        return source;
+    }
+    
+    /**
+     * Whether the current player has rolled this turn
+     */
+    get hasRolledDice() {
+        return this.diceResult !== null;
+    }
+    
+    /**
+     * Build a successful action result
+     */
+    success(payload = {}) {
+        return { ok: true, ...payload };
+    }
+    
+    /**
+     * Build a rejected action result with a reason code (see API reference)
+     */
+    reject(reason, message) {
+        return { ok: false, reason, message };
+    }
+    
+    /**
+     * Register a rule module function for one of Game.HOOKS
+     * Returns false for an unknown hook name
+     */
+    addHook(name, hook) {
+        if (!Game.HOOKS.includes(name)) return false;
+        
+        if (!this.hooks[name]) this.hooks[name] = [];
+        this.hooks[name].push(hook);
+        return true;
+    }
+    
+    /**
+     * Call every function registered for a hook, in the order they were added
+     */
+    runHooks(name, ...args) {
+        (this.hooks[name] || []).forEach(hook => hook(...args));
+    }
+    
+    /**
+     * Check an action against the turn state machine
+     * Returns null when allowed, or a rejection result
+     */
+    validateAction(action, player = null) {
+        const allowedStates = this.actionStates[action];
+        if (!allowedStates) {
+            return this.reject('UNKNOWN_ACTION', `Unknown action ${action}`);
+        }
+        
+        if (!allowedStates.includes(this.turnState)) {
+            return this.reject('WRONG_STATE', `Cannot ${action} during ${this.turnState || this.gamePhase}`);
+        }
+        
+        // Discards, gold picks and trade answers come from other players, everything else from the active one
+        if (player && player !== this.getActivePlayer() && !Game.ANY_PLAYER_ACTIONS.includes(action)) {
+            return this.reject('NOT_YOUR_TURN', `It is ${this.getActivePlayer().name}'s turn`);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check if an action is allowed in the current state (for UI buttons)
+     */
+    isActionAllowed(action, player = null) {
+        return this.validateAction(action, player) === null;
+    }
+    
+    /**
+     * Add a player to the game
+     */
+    addPlayer(color, name = null) {
+        if (this.players.length >= this.maxPlayers) {
+            return null;
+        }
+        
+        if (this.gamePhase !== 'waiting') {
+            return null;
+        }
+        
+        const player = new Player(color, name);
+        player.bank = this.bank;
+        this.players.push(player);
+        this.runHooks('addPlayer', player);
+        this.logEvent(`${player.name} joined the game`);
+        
+        return player;
+    }
+    
+    /**
+     * Start the game (move to setup phase)
+     * options.preset: BoardPresets name (default 'standard'), options.portArrangement
+     * options.layout: 'standard' or 'extension' (default: extension for 5-6 players)
+     * options.specialBuildPhase: boolean (default: on for 5-6 players)
+     */
+    startGame(options = {}) {
+        if (this.gamePhase !== 'waiting') {
+            return this.reject('WRONG_STATE', 'Game has already started');
+        }
+        
+        if (this.players.length < 2) {
+            return this.reject('NOT_ENOUGH_PLAYERS', 'At least 2 players are needed');
+        }
+        
+        // Generate board (random presets use the larger board for 5-6 players)
+        const largeGame = this.players.length >= 5;
+        const preset = options.preset || 'standard';
+        const boardOptions = { layout: largeGame ? 'extension' : 'standard', ...options };
+        if (!this.board.generateFromPreset(preset, boardOptions)) {
+            return this.reject('INVALID_ARGUMENTS', `Unknown board preset: ${preset}`);
+        }
+        
+        this.specialBuildPhase = options.specialBuildPhase !== undefined ? !!options.specialBuildPhase : largeGame;
+        
+        // Scenarios such as Heading for New Shores play to their own target, unless the rules set one
+        if (this.board.targetVictoryPoints && !this.rules.targetVictoryPoints) {
+            this.targetVictoryPoints = this.board.targetVictoryPoints;
+        }
+        
+        // Start setup phase
+        this.gamePhase = 'setup';
+        this.turnState = 'setup-settlement';
+        this.currentPlayerIndex = 0;
+        this.logEvent(`Game started (seed ${this.random.seed}) - Setup phase begins`);
+        
+        return this.success();
+    }
+    
+    /**
+     * Play the whole setup phase from the board's suggested starts (beginner and curated presets)
+     * Every piece still goes through placeSettlement/placeRoad in snake order
+     */
+    placeSuggestedStarts() {
+        const untouched = this.turnState === 'setup-settlement' && this.setupRound === 1 && this.currentPlayerIndex === 0;
+        if (!untouched) {
+            return this.reject('WRONG_STATE', 'Suggested starts can only be used before any setup piece is placed');
+        }
+        
+        if (this.players.some((player, seat) => this.board.getSuggestedStart(seat).length < 2)) {
+            return this.reject('INVALID_ARGUMENTS', 'This board has no suggested starts for every seat');
+        }
+        
+        while (this.gamePhase === 'setup') {
+            const player = this.getCurrentPlayer();
+            const start = this.board.getSuggestedStart(this.currentPlayerIndex)[this.setupRound - 1];
+            
+            const settlementResult = this.placeSettlement(start.vertex, player);
+            if (!settlementResult.ok) return settlementResult;
+            
+            const roadResult = this.placeRoad(start.edge, player);
+            if (!roadResult.ok) return roadResult;
+        }
+        
+        return this.success();
+    }
+    
+    /**
+     * Get current player
+     */
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+    
+    /**
+     * Get the player who may act now: the special builder during a Special Build Phase,
+     * otherwise the current player
+     */
+    getActivePlayer() {
+        return this.turnState === 'special-build' ? this.specialBuilders[0] : this.getCurrentPlayer();
+    }
+    
+    /**
+     * Place a settlement during setup or normal play
+     */
+    placeSettlement(vertex, player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('placeSettlement', player);
+        if (rejection) return rejection;
+        
+        const result = this.gamePhase === 'setup'
+            ? this.placeSetupSettlement(vertex, player)
+            : this.placeNormalSettlement(vertex, player);
+        
+        // A new settlement can cut an opponent's road
+        if (result.ok) {
+            this.settleIsland(player, vertex);
+            this.updateLongestRoad();
+            this.checkWinCondition();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Place settlement during setup phase (free, one per setup turn)
+     */
+    placeSetupSettlement(vertex, player) {
+        if (player.settlementsRemaining <= 0) {
+            return this.reject('NO_PIECES_LEFT', 'No settlements left');
+        }
+        
+        if (!vertex || !vertex.canPlaceSettlement(player)) {
+            return this.reject('INVALID_LOCATION', 'A settlement cannot be placed there');
+        }
+        
+        const homeIsland = this.board.homeIsland;
+        if (homeIsland && vertex.getIsland() !== homeIsland.island) {
+            return this.reject('INVALID_LOCATION', 'Starting settlements go on the home island');
+        }
+        
+        const settlement = player.buildSettlement(vertex, true);
+        if (!settlement) {
+            return this.reject('INVALID_LOCATION', 'A settlement cannot be placed there');
+        }
+        this.logEvent(`${player.name} placed settlement at ${vertex.id}`);
+        
+        // Rule modules may change the piece (Cities & Knights starts with a city)
+        this.runHooks('setupSettlement', player, vertex, this.setupRound);
+        
+        // The second settlement collects one card from each surrounding terrain (gold fields pay nothing yet)
+        if (this.setupRound === 2) {
+            const resources = [];
+            vertex.hexes.forEach(hex => {
+                const resource = hex.getResourceType();
+                if (resource && this.bank.pay(player, { [resource]: 1 })) {
+                    resources.push(resource);
+                }
+            });
+            if (resources.length > 0) {
+                this.logEvent(`${player.name} collected: ${resources.join(', ')}`);
+            }
+        }
+        
+        // The setup road has to start from this settlement
+        this.setupSettlementVertex = vertex;
+        this.turnState = 'setup-road';
+        
+        // The hook may have replaced the settlement, so hand back whatever stands there now
+        return this.success({ building: vertex.building });
+    }
+    
+    /**
+     * Place settlement during normal play
+     */
+    placeNormalSettlement(vertex, player) {
+        if (player.settlementsRemaining <= 0) {
+            return this.reject('NO_PIECES_LEFT', 'No settlements left');
+        }
+        
+        if (!player.canAfford('settlement')) {
+            return this.reject('CANNOT_AFFORD', 'Not enough resources for a settlement');
+        }
+        
+        if (!vertex || !vertex.canPlaceSettlement(player)) {
+            return this.reject('INVALID_LOCATION', 'A settlement cannot be placed there');
+        }
+        
+        if (!vertex.canPlaceSettlement(player, true)) {
+            return this.reject('NOT_CONNECTED', 'A settlement must touch one of your roads');
+        }
+        
+        const settlement = player.buildSettlement(vertex);
+        if (!settlement) {
+            return this.reject('INVALID_LOCATION', 'A settlement cannot be placed there');
+        }
+        
+        this.logEvent(`${player.name} built a settlement at ${vertex.id}`);
+        return this.success({ settlement });
+    }
+    
+    /**
+     * Record the island of a new settlement; after setup the first settlement on each
+     * new island earns the board's island bonus (Seafarers scenarios)
+     */
+    settleIsland(player, vertex) {
+        const island = vertex.getIsland();
+        if (player.settledIslands.includes(island)) return;
+        
+        player.settledIslands.push(island);
+        if (this.gamePhase === 'setup' || this.board.islandBonus === 0) return;
+        
+        player.bonusVictoryPoints += this.board.islandBonus;
+        player.updateVictoryPoints();
+        this.logEvent(`${player.name} settled a new island (+${this.board.islandBonus} victory points)`);
+    }
+    
+    /**
+     * Upgrade one of the player's settlements to a city
+     */
+    buildCity(vertex, player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('buildCity', player);
+        if (rejection) return rejection;
+        
+        if (player.citiesRemaining <= 0) {
+            return this.reject('NO_PIECES_LEFT', 'No cities left');
+        }
+        
+        if (!player.canAfford('city')) {
+            return this.reject('CANNOT_AFFORD', 'Not enough resources for a city');
+        }
+        
+        if (!vertex || !vertex.canPlaceCity(player)) {
+            return this.reject('INVALID_LOCATION', 'Only your own settlements can become cities');
+        }
+        
+        const result = player.buildCity(vertex);
+        if (!result) {
+            return this.reject('INVALID_LOCATION', 'A city cannot be placed there');
+        }
+        
+        this.logEvent(`${player.name} built a city at ${vertex.id}`);
+        this.checkWinCondition();
+        return this.success({ city: result.city });
+    }
+    
+    /**
+     * Place a road
+     */
+    placeRoad(edge, player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('placeRoad', player);
+        if (rejection) return rejection;
+        
+        const result = this.gamePhase === 'setup'
+            ? this.placeSetupRoad(edge, player)
+            : this.placeNormalRoad(edge, player);
+        
+        if (result.ok) {
+            this.updateLongestRoad();
+            this.checkWinCondition();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Place road during setup phase (free, must touch the settlement just placed)
+     * Placing it ends the setup turn
+     */
+    placeSetupRoad(edge, player) {
+        if (!edge || edge.road || !edge.vertices.includes(this.setupSettlementVertex)) {
+            return this.reject('INVALID_LOCATION', 'The setup road must touch the new settlement');
+        }
+        
+        const road = player.buildRoad(edge, true);
+        if (!road) {
+            return this.reject('INVALID_LOCATION', 'A road cannot be placed there');
+        }
+        
+        this.logEvent(`${player.name} placed road at ${edge.id}`);
+        this.setupSettlementVertex = null;
+        this.endSetupTurn();
+        return this.success({ road });
+    }
+    
+    /**
+     * Place road during normal play
+     */
+    placeNormalRoad(edge, player) {
+        if (player.roadsRemaining <= 0) {
+            return this.reject('NO_PIECES_LEFT', 'No roads left');
+        }
+        
+        if (!player.canAfford('road')) {
+            return this.reject('CANNOT_AFFORD', 'Not enough resources for a road');
+        }
+        
+        const road = edge ? player.buildRoad(edge) : null;
+        if (!road) {
+            return this.reject('INVALID_LOCATION', 'A road cannot be placed there');
+        }
+        
+        this.logEvent(`${player.name} built a road at ${edge.id}`);
+        return this.success({ road });
+    }
+    
+    /**
+     * Build a ship (Seafarers boards only): free during setup instead of the setup road
+     */
+    buildShip(edge, player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('buildShip', player);
+        if (rejection) return rejection;
+        
+        if (!this.board.seafarers) {
+            return this.reject('NOT_SEAFARERS', 'Ships are only used on Seafarers boards');
+        }
+        
+        const result = this.gamePhase === 'setup'
+            ? this.placeSetupShip(edge, player)
+            : this.placeNormalShip(edge, player);
+        
+        if (result.ok) {
+            this.updateLongestRoad();
+            this.checkWinCondition();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Place ship during setup phase (free, must touch the settlement just placed)
+     * Placing it ends the setup turn
+     */
+    placeSetupShip(edge, player) {
+        if (!edge || !edge.vertices.includes(this.setupSettlementVertex)) {
+            return this.reject('INVALID_LOCATION', 'The setup ship must touch the new settlement');
+        }
+        
+        const ship = player.buildShip(edge, true);
+        if (!ship) {
+            return this.reject('INVALID_LOCATION', 'A ship cannot be placed there');
+        }
+        
+        this.logEvent(`${player.name} placed ship at ${edge.id}`);
+        this.setupSettlementVertex = null;
+        this.endSetupTurn();
+        return this.success({ ship });
+    }
+    
+    /**
+     * Place ship during normal play
+     */
+    placeNormalShip(edge, player) {
+        if (player.shipsRemaining <= 0) {
+            return this.reject('NO_PIECES_LEFT', 'No ships left');
+        }
+        
+        if (!player.canAfford('ship')) {
+            return this.reject('CANNOT_AFFORD', 'Not enough resources for a ship');
+        }
+        
+        const ship = edge ? player.buildShip(edge) : null;
+        if (!ship) {
+            return this.reject('INVALID_LOCATION', 'A ship cannot be placed there');
+        }
+        
+        // Ships built this turn cannot move until the next one
+        ship.placedTurn = this.turnNumber;
+        this.logEvent(`${player.name} built a ship at ${edge.id}`);
+        return this.success({ ship });
+    }
+    
+    /**
+     * Move the ship on fromEdge to toEdge: once per turn, only the open end of a shipping
+     * route, not a ship built this turn and not away from the pirate
+     */
+    moveShip(fromEdge, toEdge, player = null) {
+        player = player || this.getCurrentPlayer();
+        
+        const rejection = this.validateAction('moveShip', player);
+        if (rejection) return rejection;
+        
+        if (!this.board.seafarers) {
+            return this.reject('NOT_SEAFARERS', 'Ships are only used on Seafarers boards');
+        }
+        
+        const ship = fromEdge ? fromEdge.ship : null;
+        if (!ship || ship.owner !== player) {
+            return this.reject('INVALID_LOCATION', `${player.name} has no ship there`);
+        }
+        
+        if (this.hasMovedShip) {
+            return this.reject('SHIP_ALREADY_MOVED', 'Only one ship can move per turn');
+        }
+        
+        if (ship.placedTurn === this.turnNumber) {
+            return this.reject('SHIP_NOT_MOVABLE', 'A ship cannot move on the turn it was built');
+        }
+        
+        if (!ship.isOpenEnd() || this.board.pirate.isBlocking(fromEdge)) {
+            return this.reject('SHIP_NOT_MOVABLE', 'Only the open end of a shipping route can move, and not from beside the pirate');
+        }
+        
+        if (!toEdge || toEdge === fromEdge) {
+            return this.reject('INVALID_LOCATION', 'The ship must move to another edge');
+        }
+        
+        // Lift the ship first so it cannot anchor its own new position
+        fromEdge.ship = null;
+        if (!ship.placeOn(toEdge)) {
+            fromEdge.ship = ship;
+            return this.reject('INVALID_LOCATION', 'The ship cannot sail there');
+        }
+        
+        this.hasMovedShip = true;
+        this.logEvent(`${player.name} moved a ship from ${fromEdge.id} to ${toEdge.id}`);
+        this.updateLongestRoad();
+        this.checkWinCondition();
+        return this.success({ ship });
+    }
+    
+    /**
+     * Roll dice (or draw from the configured roll source) and handle resource production
+     */
+    rollDice() {
+        const rejection = this.validateAction('rollDice');
+        if (rejection) return rejection;
+        
+        let roll = this.drawRoll();
+        
+        // House rule: no 7s during the first rounds (a roll source that keeps giving 7s is not retried forever)
+        let rerolls = 0;
+        while (roll.total === 7 && this.getRound() <= this.rules.noSevensRounds && rerolls < Game.MAX_REROLLS) {
+            this.logEvent(`No 7s in the first ${this.rules.noSevensRounds} round(s) - rolling again`);
+            roll = this.drawRoll();
+            rerolls++;
+        }
+        const { die1, die2, total } = roll;
+        const rollEvent = roll.event || null;
+        
+        this.diceResult = { die1, die2, total, rollEvent };
+        this.turnState = 'main';
+        
+        this.logEvent(`${this.getCurrentPlayer().name} rolled ${total} (${die1}, ${die2})`);
+        if (roll.text) {
+            this.logEvent(`Event card: ${roll.text}`);
+        }
+        
+        // Rule modules resolve their own dice first (the Cities & Knights event die)
+        this.runHooks('rollDice', this.diceResult);
+        
+        if (total === 7) {
+            this.handleRobberRoll();
+        } else {
+            this.handleResourceProduction(total);
+            if (rollEvent) {
+                this.resolveRollEvent(rollEvent);
+            }
+        }
+        
+        return this.success({ ...this.diceResult });
+    }
+    
+    /**
+     * Take the next roll from the roll source
+     */
+    drawRoll() {
+        const roll = this.rollSource.roll();
+        if (roll.reshuffled) {
+            this.logEvent('The event deck is reshuffled');
+        }
+        return roll;
+    }
+    
+    /**
+     * Apply an event card's effect (EventDeck.EVENTS), after production
+     */
+    resolveRollEvent(event) {
+        switch (event) {
+            case 'plentifulYear':
+                this.grantResourceChoice(this.players);
+                break;
+            case 'neighborlyAssistance':
+                this.resolveNeighborlyAssistance();
+                break;
+            case 'robberFlees': {
+                const hex = this.board.robber.hex;
+                this.board.placeRobberOnDesert();
+                if (this.board.robber.hex !== hex) {
+                    this.logEvent(`Robber moved to ${this.board.robber.hex.terrain}`);
+                }
+                break;
+            }
+            case 'tournament': {
+                const most = Math.max(...this.players.map(player => player.knightsPlayed));
+                if (most > 0) {
+                    this.grantResourceChoice(this.players.filter(player => player.knightsPlayed === most));
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Give each player one resource of their choice, picked like gold (state 'gold-choice')
+     */
+    grantResourceChoice(players) {
+        players.forEach(player => {
+            this.pendingGoldPicks.set(player, (this.pendingGoldPicks.get(player) || 0) + 1);
+            this.logEvent(`${player.name} picks 1 resource of their choice`);
+        });
+        
+        if (this.pendingGoldPicks.size > 0) {
+            this.turnState = 'gold-choice';
+        }
+    }
+    
+    /**
+     * Neighborly assistance: the players with the most public points each give a random card
+     * to the player with the fewest (nothing happens if several share the fewest)
+     */
+    resolveNeighborlyAssistance() {
+        const points = this.players.map(player => player.getPublicVictoryPoints());
+        const most = Math.max(...points);
+        const fewest = Math.min(...points);
+        const trailing = this.players.filter(player => player.getPublicVictoryPoints() === fewest);
+        if (most === fewest || trailing.length !== 1) return;
+        
+        const receiver = trailing[0];
+        this.players
+            .filter(player => player.getPublicVictoryPoints() === most && player.getTotalResources() > 0)
+            .forEach(giver => {
+                const cards = [];
+                for (let [resource, count] of Object.entries(giver.resources)) {
+                    for (let i = 0; i < count; i++) {
+                        cards.push(resource);
+                    }
+                }
+                
+                const resource = this.random.pick(cards);
+                giver.removeResources(resource, 1);
+                receiver.addResources(resource, 1);
+                this.logEvent(`${giver.name} gave a card to ${receiver.name}`);
+            });
+    }
+    
+    /**
+     * Get the round of normal play the current turn belongs to (1 for everyone's first turn)
+     */
+    getRound() {
+        return Math.floor(this.turnNumber / this.players.length) + 1;
+    }
+    
+    /**
+     * Handle robber roll (7)
+     */
+    handleRobberRoll() {
+        // Current player must move robber and steal before doing anything else
+        this.startRobber();
+        
+        // Players over the discard threshold (7 cards) choose half of their cards to discard
+        this.pendingDiscards.clear();
+        this.players.forEach(player => {
+            const total = player.getTotalResources();
+            if (total > this.rules.discardThreshold) {
+                this.pendingDiscards.set(player, Math.floor(total / 2));
+                this.logEvent(`${player.name} must discard ${Math.floor(total / 2)} cards`);
+            }
+        });
+        
+        if (this.pendingDiscards.size > 0) {
+            this.turnState = 'discard';
+        }
+        
+        this.logEvent('Robber activated - move robber and steal');
+    }
+    
+    /**
+     * Discard the chosen cards after a 7 (resourceMap like {ore: 2, wool: 1})
+     */
+    submitDiscard(player, resourceMap) {
+        const rejection = this.validateAction('submitDiscard', player);
+        if (rejection) return rejection;
+        
+        if (!this.pendingDiscards.has(player)) {
+            return this.reject('NOTHING_TO_DISCARD', `${player.name} does not need to discard`);
+        }
+        
+        const required = this.pendingDiscards.get(player);
+        const resourceTypes = Object.keys(player.resources);
+        const isValid = Object.entries(resourceMap || {}).every(([resource, amount]) =>
+            resourceTypes.includes(resource) && Number.isInteger(amount) && amount >= 0
+        );
+        if (!isValid) {
+            return this.reject('INVALID_ARGUMENTS', 'Discard must map resources to whole amounts');
+        }
+        
+        const count = Object.values(resourceMap).reduce((sum, amount) => sum + amount, 0);
+        if (count !== required) {
+            return this.reject('WRONG_DISCARD_COUNT', `${player.name} must discard exactly ${required} cards`);
+        }
+        
+        if (!player.hasResources(resourceMap)) {
+            return this.reject('NOT_ENOUGH_RESOURCES', `${player.name} does not hold those cards`);
+        }
+        
+        this.bank.collect(player, resourceMap);
+        
+        this.logEvent(`${player.name} discarded ${count} cards`);
+        this.completeDiscard(player);
+        return this.success({ discarded: { ...resourceMap } });
+    }
+    
+    /**
+     * Fallback for bots and timeouts: discard on the player's behalf
+     */
+    autoDiscard(player) {
+        const rejection = this.validateAction('submitDiscard', player);
+        if (rejection) return rejection;
+        
+        if (!this.pendingDiscards.has(player)) {
+            return this.reject('NOTHING_TO_DISCARD', `${player.name} does not need to discard`);
+        }
+        
+        const discarded = player.discardHalf(this.rules.discardThreshold);
+        discarded.forEach(resource => this.bank.deposit(resource));
+        this.logEvent(`${player.name} discarded ${discarded.length} cards (automatic)`);
+        this.completeDiscard(player);
+        return this.success({ discarded });
+    }
+    
+    /**
+     * Auto-discard for every player who has not chosen yet
+     */
+    resolvePendingDiscards() {
+        Array.from(this.pendingDiscards.keys()).forEach(player => this.autoDiscard(player));
+    }
+    
+    /**
+     * Mark a player's discard as done; once all are in, the robber can move
+     */
+    completeDiscard(player) {
+        this.pendingDiscards.delete(player);
+        if (this.pendingDiscards.size === 0) {
+            this.turnState = 'robber-move';
+            this.logEvent('All discards in - move the robber');
+        }
+    }
+    
+    /**
+     * Enter the robber sequence (after a 7 or a knight)
+     * Building and trading stay locked until the robber is resolved
+     */
+    startRobber() {
+        this.robberReturnState = this.turnState;
+        this.robberVictims = [];
+        this.turnState = 'robber-move';
+    }
+    
+    /**
+     * Leave the robber sequence and go back to where the turn was
+     */
+    finishRobber() {
+        this.turnState = this.robberReturnState;
+        this.robberReturnState = null;
+        this.robberVictims = [];
+        this.pendingDiscards.clear();
+    }
+    
+    /**
+     * Handle resource production for dice roll
+     * The bank pays out, applying the shortage rule; gold field owners then pick their resources
+     * Rule modules may change what is owed first (the 'production' hook)
+     */
+    handleResourceProduction(diceRoll) {
+        const owed = new Map();
+        this.pendingGoldPicks.clear();
+        this.players.forEach(player => {
+            const { gold = 0, ...production } = player.getProduction(diceRoll);
+            if (Object.keys(production).length > 0) {
+                owed.set(player, production);
+            }
+            if (gold > 0) {
+                this.pendingGoldPicks.set(player, gold);
+            }
+        });
+        this.runHooks('production', owed, diceRoll);
+        this.applyHandLimit(owed);
+        
+        const { paid, shortages } = this.bank.distributeProduction(owed);
+        
+        shortages.forEach(resource => {
+            this.logEvent(`The bank is short of ${resource}`);
+        });
+        paid.forEach((resources, player) => {
+            this.logEvent(`${player.name} collected: ${this.formatResourceMap(resources)}`);
+        });
+        
+        if (this.pendingGoldPicks.size > 0) {
+            this.turnState = 'gold-choice';
+            this.pendingGoldPicks.forEach((count, player) => {
+                this.logEvent(`${player.name} picks ${count} resource(s) of their choice`);
+            });
+        }
+    }
+    
+    /**
+     * House rule: production never takes a hand past rules.handLimit, the bank keeps the rest
+     * Trims owed (and gold picks) in place
+     */
+    applyHandLimit(owed) {
+        const limit = this.rules.handLimit;
+        if (limit === null) return;
+        
+        this.players.forEach(player => {
+            let room = Math.max(0, limit - player.getTotalResources());
+            let trimmed = false;
+            
+            const production = owed.get(player) || {};
+            for (let resource of Object.keys(production)) {
+                const amount = Math.min(production[resource], room);
+                trimmed = trimmed || amount < production[resource];
+                production[resource] = amount;
+                room -= amount;
+            }
+            
+            if (this.pendingGoldPicks.has(player)) {
+                const picks = Math.min(this.pendingGoldPicks.get(player), room);
+                trimmed = trimmed || picks < this.pendingGoldPicks.get(player);
+                if (picks > 0) {
+                    this.pendingGoldPicks.set(player, picks);
+                } else {
+                    this.pendingGoldPicks.delete(player);
+                }
+            }
+            
+            if (trimmed) {
+                this.logEvent(`${player.name} is at the hand limit of ${limit} cards`);
+            }
+        });
+    }
+    
+    /**
+     * Take the resources owed for gold fields (resourceMap like {ore: 1, grain: 1})
+     * The count must match, or what the bank has left if that is less
+     */
+    chooseGoldResources(player, resourceMap) {
+        const rejection = this.validateAction('chooseGoldResources', player);
+        if (rejection) return rejection;
+        
+        if (!this.pendingGoldPicks.has(player)) {
+            return this.reject('NO_GOLD', `${player.name} has no gold to spend`);
+        }
+        
+        const isValid = Object.entries(resourceMap || {}).every(([resource, amount]) =>
+            Bank.RESOURCE_TYPES.includes(resource) && Number.isInteger(amount) && amount >= 0
+        );
+        if (!isValid) {
+            return this.reject('INVALID_ARGUMENTS', 'Gold picks must map resources to whole amounts');
+        }
+        
+        const supply = Bank.RESOURCE_TYPES.reduce((sum, resource) => sum + this.bank.getSupply(resource), 0);
+        const required = Math.min(this.pendingGoldPicks.get(player), supply);
+        const count = Object.values(resourceMap).reduce((sum, amount) => sum + amount, 0);
+        if (count !== required) {
+            return this.reject('WRONG_GOLD_COUNT', `${player.name} must pick exactly ${required} resources`);
+        }
+        
+        if (!this.bank.pay(player, resourceMap)) {
+            return this.reject('BANK_SHORTAGE', 'The bank does not have those cards');
+        }
+        
+        this.logEvent(`${player.name} took ${this.formatResourceMap(resourceMap) || 'nothing'} for gold`);
+        this.completeGoldChoice(player);
+        return this.success({ resources: { ...resourceMap } });
+    }
+    
+    /**
+     * Fallback for bots and timeouts: pick gold resources the bank has most of
+     */
+    autoChooseGold(player) {
+        if (!this.pendingGoldPicks.has(player)) {
+            return this.reject('NO_GOLD', `${player.name} has no gold to spend`);
+        }
+        
+        const supply = { ...this.bank.resources };
+        const picks = {};
+        for (let i = 0; i < this.pendingGoldPicks.get(player); i++) {
+            const resource = Bank.RESOURCE_TYPES.reduce((best, type) => supply[type] > supply[best] ? type : best);
+            if (supply[resource] === 0) break;
+            supply[resource]--;
+            picks[resource] = (picks[resource] || 0) + 1;
+        }
+        
+        return this.chooseGoldResources(player, picks);
+    }
+    
+    /**
+     * Auto-pick for every player who has not chosen yet
+     */
+    resolvePendingGoldChoices() {
+        Array.from(this.pendingGoldPicks.keys()).forEach(player => this.autoChooseGold(player));
+    }
+    
+    /**
+     * Mark a player's gold pick as done; once all are in, the turn goes on
+     */
+    completeGoldChoice(player) {
+        this.pendingGoldPicks.delete(player);
+        if (this.pendingGoldPicks.size === 0) {
+            this.turnState = 'main';
+        }
+    }
+    
+    /**
+     * End current player's turn
+     */
+    endTurn() {
+        // The robber must be moved (and a victim robbed) before the turn can end
+        const rejection = this.validateAction('endTurn');
+        if (rejection) return rejection;
+        
+        // Points reached this turn win before the turn passes
+        if (this.checkWinCondition()) {
+            return this.success({ player: this.getCurrentPlayer() });
+        }
+        
+        // Everyone else may build before the next turn starts
+        if (this.specialBuildPhase) {
+            const count = this.players.length;
+            this.specialBuilders = [];
+            for (let offset = 1; offset < count; offset++) {
+                this.specialBuilders.push(this.players[(this.currentPlayerIndex + offset) % count]);
+            }
+            this.turnState = 'special-build';
+            this.logEvent(`Special Build Phase - ${this.getActivePlayer().name} may build`);
+            return this.success({ player: this.getCurrentPlayer(), specialBuilder: this.getActivePlayer() });
+        }
+        
+        this.endNormalTurn();
+        
+        // Points reached during someone else's turn win once the player's own turn starts
+        this.checkWinCondition();
+        return this.success({ player: this.getCurrentPlayer() });
+    }
+    
+    /**
+     * Finish the active player's Special Build Phase (build only: no trading, no cards played)
+     * After the last builder the next turn starts
+     */
+    endSpecialBuild(player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('endSpecialBuild', player);
+        if (rejection) return rejection;
+        
+        // Cards bought now are not bought on the builder's own turn, so they can be played next turn
+        player.unlockNewDevelopmentCards();
+        this.specialBuilders.shift();
+        
+        if (this.specialBuilders.length > 0) {
+            this.logEvent(`Special Build Phase - ${this.getActivePlayer().name} may build`);
+            return this.success({ player: this.getCurrentPlayer(), specialBuilder: this.getActivePlayer() });
+        }
+        
+        this.endNormalTurn();
+        this.checkWinCondition();
+        return this.success({ player: this.getCurrentPlayer(), specialBuilder: null });
+    }
+    
+    /**
+     * End turn during setup phase (called automatically after the setup road)
+     * Round 1 goes forward, round 2 comes back in reverse order
+     */
+    endSetupTurn() {
+        this.turnState = 'setup-settlement';
+        
+        // Move to next player
+        this.currentPlayerIndex += this.setupDirection;
+        
+        // Check if we need to reverse direction or end setup
+        if (this.setupDirection === 1 && this.currentPlayerIndex >= this.players.length) {
+            if (this.setupRound === 1) {
+                // Start round 2 in reverse
+                this.setupRound = 2;
+                this.setupDirection = -1;
+                this.currentPlayerIndex = this.players.length - 1;
+            } else {
+                this.finishSetup();
+            }
+        } else if (this.setupDirection === -1 && this.currentPlayerIndex < 0) {
+            this.finishSetup();
+        }
+        
+        if (this.gamePhase === 'setup') {
+            this.logEvent(`Setup round ${this.setupRound} - ${this.getCurrentPlayer().name}'s turn`);
+        }
+    }
+    
+    /**
+     * Setup complete - first player starts rolling
+     */
+    finishSetup() {
+        this.gamePhase = 'playing';
+        this.turnState = 'pre-roll';
+        this.currentPlayerIndex = 0;
+        this.logEvent('Setup complete - Game begins!');
+    }
+    
+    /**
+     * End turn during normal play
+     */
+    endNormalTurn() {
+        // Offers only live for the turn they were made in
+        this.expireTradeOffers();
+        
+        // Reset turn state
+        this.diceResult = null;
+        this.hasPlayedDevelopmentCard = false;
+        this.hasMovedShip = false;
+        this.turnState = 'pre-roll';
+        
+        // Cards bought this turn become playable from the next turn on
+        this.getCurrentPlayer().unlockNewDevelopmentCards();
+        
+        // Move to next player
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this.turnNumber++;
+        
+        this.logEvent(`Turn ${this.turnNumber} - ${this.getCurrentPlayer().name}'s turn`);
+    }
+    
+    /**
+     * Check if the current player has won
+     * Players only win on their own turn: points reached during someone else's turn
+     * (such as in their Special Build Phase) win once their own turn starts
+     */
+    checkWinCondition() {
+        this.players.forEach(player => player.updateVictoryPoints());
+        if (this.gamePhase !== 'playing' || this.turnState === 'special-build') return false;
+        
+        const player = this.getCurrentPlayer();
+        if (player.victoryPoints >= this.targetVictoryPoints) {
+            this.winner = player;
+            this.gamePhase = 'finished';
+            this.turnState = 'game-over';
+            this.logEvent(`${player.name} wins with ${player.victoryPoints} victory points!`);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Recompute the Longest Road award
+     * Needs at least 5 roads; the holder keeps it on a tie; if the holder is cut
+     * and several players tie for the lead, nobody holds it
+     */
+    updateLongestRoad() {
+        const minimumLength = 5;
+        const lengths = new Map(this.players.map(player => [player, player.getLongestRoadLength()]));
+        const bestLength = Math.max(0, ...lengths.values());
+        const leaders = this.players.filter(player => lengths.get(player) === bestLength);
+        
+        const previousHolder = this.longestRoadHolder;
+        let holder = null;
+        
+        if (bestLength >= minimumLength) {
+            if (previousHolder && lengths.get(previousHolder) === bestLength) {
+                holder = previousHolder;
+            } else if (leaders.length === 1) {
+                holder = leaders[0];
+            }
+        }
+        
+        this.longestRoadHolder = holder;
+        this.longestRoadLength = holder ? lengths.get(holder) : 0;
+        
+        if (holder !== previousHolder) {
+            if (previousHolder) {
+                previousHolder.hasLongestRoad = false;
+                previousHolder.updateVictoryPoints();
+            }
+            
+            if (holder) {
+                holder.hasLongestRoad = true;
+                holder.updateVictoryPoints();
+                this.logEvent(`${holder.name} takes Longest Road (${this.longestRoadLength} roads)`);
+            } else {
+                this.logEvent(`${previousHolder.name} lost Longest Road - nobody holds it`);
+            }
+        }
+        
+        return holder;
+    }
+    
+    /**
+     * Recompute the Largest Army award
+     * Needs at least 3 knights; it only moves when someone strictly exceeds the holder
+     */
+    updateLargestArmy() {
+        const minimumKnights = 3;
+        const previousHolder = this.largestArmyHolder;
+        let holder = previousHolder;
+        
+        for (let player of this.players) {
+            if (player.knightsPlayed < minimumKnights) continue;
+            if (!holder || player.knightsPlayed > holder.knightsPlayed) {
+                holder = player;
+            }
+        }
+        
+        if (holder !== previousHolder) {
+            if (previousHolder) {
+                previousHolder.hasLargestArmy = false;
+                previousHolder.updateVictoryPoints();
+            }
+            
+            this.largestArmyHolder = holder;
+            holder.hasLargestArmy = true;
+            holder.updateVictoryPoints();
+            
+            const from = previousHolder ? ` from ${previousHolder.name}` : '';
+            this.logEvent(`${holder.name} takes Largest Army${from} (${holder.knightsPlayed} knights)`);
+        }
+        
+        return holder;
+    }
+    
+    /**
+     * Create the shuffled 25-card development deck
+     */
+    createDevelopmentDeck() {
+        const distribution = {
+            knight: 14,
+            roadBuilding: 2,
+            yearOfPlenty: 2,
+            monopoly: 2,
+            victoryPoint: 5
+        };
+        
+        const cards = [];
+        for (let [type, count] of Object.entries(distribution)) {
+            for (let i = 0; i < count; i++) {
+                cards.push(type);
+            }
+        }
+        
+        return this.shuffleArray(cards);
+    }
+    
+    /**
+     * Buy a development card from the top of the deck
+     */
+    buyDevelopmentCard(player = null) {
+        player = player || this.getActivePlayer();
+        
+        const rejection = this.validateAction('buyDevelopmentCard', player);
+        if (rejection) return rejection;
+        
+        if (this.bank.getDevelopmentCardsLeft() === 0) {
+            return this.reject('DECK_EMPTY', 'No development cards left');
+        }
+        
+        if (!player.payFor('developmentCard')) {
+            return this.reject('CANNOT_AFFORD', 'Not enough resources for a development card');
+        }
+        
+        const card = this.bank.drawDevelopmentCard();
+        player.addDevelopmentCard(card);
+        
+        // The card type stays hidden from the other players
+        this.logEvent(`${player.name} bought a development card`);
+        this.checkWinCondition();
+        
+        return this.success({ card });
+    }
+    
+    /**
+     * Play a development card for the current player
+     * args: knight { hex, victim }, roadBuilding { edges }, yearOfPlenty { resources }, monopoly { resource }
+     */
+    playDevelopmentCard(type, args = {}) {
+        const player = this.getCurrentPlayer();
+        
+        const rejection = this.validateAction('playDevelopmentCard', player);
+        if (rejection) return rejection;
+        
+        // Knights may be played before the roll, every other card only after it
+        if (type !== 'knight' && this.turnState !== 'main') {
+            return this.reject('WRONG_STATE', 'Only knights can be played before rolling');
+        }
+        
+        if (this.hasPlayedDevelopmentCard) {
+            return this.reject('CARD_ALREADY_PLAYED', 'Only one development card per turn');
+        }
+        
+        // Victory point cards are never played, they count automatically
+        if (type === 'victoryPoint' || !player.developmentCards.hasOwnProperty(type)) {
+            return this.reject('INVALID_ARGUMENTS', `${type} cannot be played`);
+        }
+        
+        if (!player.canPlayDevelopmentCard(type)) {
+            const reason = player.newDevelopmentCards[type] > 0 ? 'CARD_BOUGHT_THIS_TURN' : 'NO_CARD';
+            return this.reject(reason, `No playable ${type} card`);
+        }
+        
+        let result = null;
+        switch (type) {
+            case 'knight':
+                result = this.playKnight(player, args);
+                break;
+            case 'roadBuilding':
+                result = this.playRoadBuilding(player, args);
+                break;
+            case 'yearOfPlenty':
+                result = this.playYearOfPlenty(player, args);
+                break;
+            case 'monopoly':
+                result = this.playMonopoly(player, args);
+                break;
+        }
+        
+        if (!result.ok) {
+            return result;
+        }
         
-        // Game state
-        this.gamePhase = 'waiting'; // 'waiting', 'setup', 'playing', 'finished'
-        this.currentPlayerIndex = 0;
-        this.turnNumber = 0;
-        this.setupRound = 1; // Setup has 2 rounds
-        this.setupDirection = 1; // 1 = forward, -1 = reverse
+        player.developmentCards[type]--;
+        this.hasPlayedDevelopmentCard = true;
+        this.checkWinCondition();
         
-        // Turn state
-        this.hasRolledDice = false;
-        this.diceResult = null;
-        this.canBuild = false;
-        this.canTrade = false;
+        return this.success({ type, ...result });
+    }
+    
+    /**
+     * Knight: run the robber sequence (move, then steal)
+     * hex and victim are optional; without them the UI finishes the sequence
+     * through moveRobber() (or movePirate()) and stealFromPlayer()
+     */
+    playKnight(player, { hex = null, victim = null }) {
+        // On Seafarers boards a sea hex moves the pirate instead
+        const atSea = hex && hex.isSea();
+        if (atSea && !this.board.seafarers) {
+            return this.reject('INVALID_LOCATION', 'The robber must move to a land hex');
+        }
+        if (hex && (atSea ? this.board.pirate : this.board.robber).hex === hex) {
+            return this.reject('SAME_HEX', `The ${atSea ? 'pirate' : 'robber'} must move to a different hex`);
+        }
+        if (hex && !atSea && this.isProtectedHex(hex)) {
+            return this.reject('PROTECTED_HEX', 'The friendly robber cannot block only protected players');
+        }
         
-        // Game history and events
-        this.eventLog = [];
-        this.winner = null;
+        player.knightsPlayed++;
+        this.logEvent(`${player.name} played a knight`);
+        this.updateLargestArmy();
         
-        // Game settings
-        this.targetVictoryPoints = 10;
-        this.maxPlayers = 6;
+        this.startRobber();
+        let stolen = null;
+        if (hex) {
+            if (atSea) {
+                this.movePirate(hex);
+            } else {
+                this.moveRobber(hex);
+            }
+            if (victim && this.turnState === 'robber-steal') {
+                stolen = this.stealFromPlayer(victim).resource || null;
+            }
+        }
         
-        this.id = 'game_main';
+        return this.success({ hex, stolen });
     }
     
     /**
-     * Add a player to the game
+     * Road Building: place 2 roads for free (1 only as the last road piece or on the last legal edge)
      */
-    addPlayer(color, name = null) {
-        if (this.players.length >= this.maxPlayers) {
-            return null;
+    playRoadBuilding(player, { edges = [] }) {
+        if (edges.length === 0 || edges.length > 2) {
+            return this.reject('INVALID_ARGUMENTS', 'Road building places 1 or 2 roads');
         }
         
-        if (this.gamePhase !== 'waiting') {
-            return null;
+        // Place the roads in order (the second may build on the first), all or none
+        const roads = [];
+        const undo = () => roads.forEach(road => {
+            road.remove();
+            player.roads.splice(player.roads.indexOf(road), 1);
+            player.roadsRemaining++;
+        });
+        for (let edge of edges) {
+            const road = edge ? player.buildRoad(edge, true) : null;
+            if (!road) {
+                undo();
+                return this.reject('INVALID_LOCATION', 'Every road must go on a legal edge');
+            }
+            roads.push(road);
         }
         
-        const player = new Player(color, name);
-        this.players.push(player);
-        this.logEvent(`${player.name} joined the game`);
+        // One road only when it was the last piece or the last legal edge
+        if (roads.length === 1 && player.roadsRemaining > 0 && this.board.getValidRoadPlacements(player).length > 0) {
+            undo();
+            return this.reject('INVALID_ARGUMENTS', 'Road building places 2 roads while there is room for them');
+        }
         
-        return player;
+        this.logEvent(`${player.name} played road building and placed ${roads.length} road(s)`);
+        this.updateLongestRoad();
+        return this.success({ roads });
     }
     
     /**
-     * Start the game (move to setup phase)
+     * Year of Plenty: take any 2 resources
      */
-    startGame() {
-        if (this.players.length < 2) {
-            return false;
+    playYearOfPlenty(player, { resources = [] }) {
+        if (resources.length !== 2 || !resources.every(r => player.resources.hasOwnProperty(r))) {
+            return this.reject('INVALID_ARGUMENTS', 'Year of plenty takes exactly 2 resources');
         }
         
-        // Generate board
-        this.board.generateStandardBoard();
+        const taken = {};
+        resources.forEach(resource => {
+            taken[resource] = (taken[resource] || 0) + 1;
+        });
+        if (!this.bank.pay(player, taken)) {
+            return this.reject('BANK_SHORTAGE', 'The bank does not have those cards');
+        }
         
-        // Start setup phase
-        this.gamePhase = 'setup';
-        this.currentPlayerIndex = 0;
-        this.logEvent('Game started - Setup phase begins');
+        this.logEvent(`${player.name} played year of plenty: ${resources.join(', ')}`);
         
-        return true;
+        return this.success({ resources });
     }
     
     /**
-     * Get current player
+     * Monopoly: take every card of one resource from all other players
      */
-    getCurrentPlayer() {
-        return this.players[this.currentPlayerIndex];
+    playMonopoly(player, { resource }) {
+        if (!player.resources.hasOwnProperty(resource)) {
+            return this.reject('INVALID_ARGUMENTS', 'Monopoly needs a resource type');
+        }
+        
+        let taken = 0;
+        this.players.forEach(other => {
+            if (other === player) return;
+            
+            const amount = other.resources[resource];
+            if (amount > 0) {
+                other.removeResources(resource, amount);
+                player.addResources(resource, amount);
+                taken += amount;
+            }
+        });
+        
+        this.logEvent(`${player.name} played monopoly and took ${taken} ${resource}`);
+        return this.success({ resource, taken });
     }
     
     /**
-     * Place a settlement during setup or normal play
+     * Propose a trade from the current player
+     * give/receive are resource maps from the proposer's point of view,
+     * targetPlayers limits who may answer (null = everyone)
      */
-    placeSettlement(vertex, player = null) {
-        player = player || this.getCurrentPlayer();
+    proposeTrade(give, receive, targetPlayers = null) {
+        const proposer = this.getCurrentPlayer();
         
-        if (this.gamePhase === 'setup') {
-            return this.placeSetupSettlement(vertex, player);
-        } else if (this.gamePhase === 'playing') {
-            return this.placeNormalSettlement(vertex, player);
+        const rejection = this.validateAction('proposeTrade', proposer);
+        if (rejection) return rejection;
+        
+        if (!this.isValidTradeMaps(give, receive)) {
+            return this.reject('INVALID_ARGUMENTS', 'Trades need two different, non-empty resource maps');
         }
         
-        return null;
+        if (!proposer.hasResources(give)) {
+            return this.reject('NOT_ENOUGH_RESOURCES', `${proposer.name} does not hold those cards`);
+        }
+        
+        const targets = targetPlayers
+            ? targetPlayers.filter(p => p !== proposer && this.players.includes(p))
+            : this.players.filter(p => p !== proposer);
+        if (targets.length === 0) {
+            return this.reject('INVALID_ARGUMENTS', 'No one to trade with');
+        }
+        
+        const offer = {
+            id: `trade_${this.nextTradeOfferId++}`,
+            proposer: proposer,
+            give: { ...give },
+            receive: { ...receive },
+            targets: targets,
+            responses: new Map(), // player id -> { status, give, receive }
+            status: 'open', // 'open', 'completed', 'cancelled', 'expired'
+            turn: this.turnNumber
+        };
+        this.tradeOffers.push(offer);
+        
+        this.logEvent(`${proposer.name} offered ${this.formatResourceMap(give)} for ${this.formatResourceMap(receive)} (${offer.id})`);
+        return this.success({ offer });
     }
     
     /**
-     * Place settlement during setup phase
+     * Answer an open trade offer: 'accept', 'reject' or 'counter'
+     * A counter carries new give/receive maps, still from the proposer's point of view
      */
-    placeSetupSettlement(vertex, player) {
-        if (!vertex.canPlaceSettlement(player)) {
-            return null;
+    respondToTrade(offerId, player, response, counter = null) {
+        const rejection = this.validateAction('respondToTrade', player);
+        if (rejection) return rejection;
+        
+        const offer = this.getTradeOffer(offerId);
+        if (!offer || offer.status !== 'open') {
+            return this.reject('UNKNOWN_OFFER', `No open offer ${offerId}`);
         }
         
-        const settlement = player.buildSettlement(vertex);
-        if (settlement) {
-            // In setup, settlement is free
-            player.payFor = () => true; // Override cost for setup
-            
-            // Collect initial resources (round 2 only)
-            if (this.setupRound === 2) {
-                const resources = settlement.collectResources();
-                resources.forEach(resource => player.addResources(resource));
-            }
-            
-            this.logEvent(`${player.name} placed settlement at ${vertex.id}`);
-            return settlement;
+        if (!offer.targets.includes(player)) {
+            return this.reject('NOT_A_TARGET', `${player.name} was not offered ${offerId}`);
         }
         
-        return null;
+        const notEnough = this.reject('NOT_ENOUGH_RESOURCES', `${player.name} does not hold those cards`);
+        let answer = null;
+        switch (response) {
+            case 'accept':
+                if (!player.hasResources(offer.receive)) return notEnough;
+                answer = { status: 'accepted', give: offer.give, receive: offer.receive };
+                this.logEvent(`${player.name} accepted ${offer.id}`);
+                break;
+            case 'reject':
+                answer = { status: 'rejected', give: null, receive: null };
+                this.logEvent(`${player.name} rejected ${offer.id}`);
+                break;
+            case 'counter':
+                if (!counter || !this.isValidTradeMaps(counter.give, counter.receive)) {
+                    return this.reject('INVALID_ARGUMENTS', 'A counter needs give and receive maps');
+                }
+                if (!player.hasResources(counter.receive)) return notEnough;
+                answer = { status: 'countered', give: { ...counter.give }, receive: { ...counter.receive } };
+                this.logEvent(`${player.name} countered ${offer.id}: ${this.formatResourceMap(counter.receive)} for ${this.formatResourceMap(counter.give)}`);
+                break;
+            default:
+                return this.reject('INVALID_ARGUMENTS', `Unknown response ${response}`);
+        }
+        
+        offer.responses.set(player.id, answer);
+        return this.success({ response: answer });
     }
     
     /**
-     * Place settlement during normal play
+     * Proposer confirms one acceptance (or counter) and the cards change hands
      */
-    placeNormalSettlement(vertex, player) {
-        if (!this.canBuild || this.hasRolledDice === false) {
-            return null;
+    confirmTrade(offerId, partner) {
+        const rejection = this.validateAction('confirmTrade');
+        if (rejection) return rejection;
+        
+        const offer = this.getTradeOffer(offerId);
+        if (!offer || offer.status !== 'open' || offer.proposer !== this.getCurrentPlayer()) {
+            return this.reject('UNKNOWN_OFFER', `No open offer ${offerId}`);
+        }
+        
+        const answer = offer.responses.get(partner.id);
+        if (!answer || (answer.status !== 'accepted' && answer.status !== 'countered')) {
+            return this.reject('NOT_ACCEPTED', `${partner.name} has not accepted ${offerId}`);
+        }
+        
+        // Check both hands before moving anything so the swap is all-or-nothing
+        const proposer = offer.proposer;
+        if (!proposer.hasResources(answer.give) || !partner.hasResources(answer.receive)) {
+            return this.reject('NOT_ENOUGH_RESOURCES', 'One side no longer holds the cards');
+        }
+        
+        for (let [resource, amount] of Object.entries(answer.give)) {
+            proposer.removeResources(resource, amount);
+            partner.addResources(resource, amount);
         }
+        for (let [resource, amount] of Object.entries(answer.receive)) {
+            partner.removeResources(resource, amount);
+            proposer.addResources(resource, amount);
+        }
+        
+        offer.status = 'completed';
+        offer.partner = partner;
+        this.logEvent(`${proposer.name} traded ${this.formatResourceMap(answer.give)} to ${partner.name} for ${this.formatResourceMap(answer.receive)}`);
         
-        return player.buildSettlement(vertex);
+        return this.success({ offer });
     }
     
     /**
-     * Place a road
+     * Proposer withdraws an open offer
      */
-    placeRoad(edge, player = null) {
-        player = player || this.getCurrentPlayer();
+    cancelTrade(offerId) {
+        const rejection = this.validateAction('cancelTrade');
+        if (rejection) return rejection;
         
-        if (this.gamePhase === 'setup') {
-            return this.placeSetupRoad(edge, player);
-        } else if (this.gamePhase === 'playing') {
-            return this.placeNormalRoad(edge, player);
+        const offer = this.getTradeOffer(offerId);
+        if (!offer || offer.status !== 'open' || offer.proposer !== this.getCurrentPlayer()) {
+            return this.reject('UNKNOWN_OFFER', `No open offer ${offerId}`);
         }
         
-        return null;
+        offer.status = 'cancelled';
+        this.logEvent(`${offer.proposer.name} cancelled ${offer.id}`);
+        return this.success({ offer });
     }
     
     /**
-     * Place road during setup phase  
+     * Expire every open offer (called at end of turn)
      */
-    placeSetupRoad(edge, player) {
-        const road = player.buildRoad(edge);
-        if (road) {
-            player.payFor = () => true; // Override cost for setup
-            this.logEvent(`${player.name} placed road at ${edge.id}`);
-            return road;
-        }
-        return null;
+    expireTradeOffers() {
+        this.tradeOffers
+            .filter(offer => offer.status === 'open')
+            .forEach(offer => {
+                offer.status = 'expired';
+                this.logEvent(`${offer.id} expired`);
+            });
+        this.tradeOffers = [];
     }
     
     /**
-     * Place road during normal play
+     * Find a trade offer by id
      */
-    placeNormalRoad(edge, player) {
-        if (!this.canBuild || this.hasRolledDice === false) {
-            return null;
-        }
-        
-        return player.buildRoad(edge);
+    getTradeOffer(offerId) {
+        return this.tradeOffers.find(offer => offer.id === offerId) || null;
     }
     
     /**
-     * Roll dice and handle resource production
+     * Get open offers that a player may answer
      */
-    rollDice() {
-        if (this.gamePhase !== 'playing' || this.hasRolledDice) {
-            return null;
+    getOpenTradeOffers(player = null) {
+        return this.tradeOffers.filter(offer =>
+            offer.status === 'open' && (!player || offer.targets.includes(player))
+        );
+    }
+    
+    /**
+     * Trade with the bank at the player's current ratios (4:1, or better through harbors)
+     * Several conversions may be combined, e.g. give {lumber: 8} receive {ore: 2}
+     */
+    tradeWithBank(player, give, receive) {
+        player = player || this.getCurrentPlayer();
+        
+        const rejection = this.validateAction('tradeWithBank', player);
+        if (rejection) return rejection;
+        
+        if (!this.isValidTradeMaps(give, receive)) {
+            return this.reject('INVALID_ARGUMENTS', 'Trades need two different, non-empty resource maps');
         }
         
-        const die1 = this.dice[0].roll();
-        const die2 = this.dice[1].roll();
-        const total = die1 + die2;
+        if (!player.hasResources(give)) {
+            return this.reject('NOT_ENOUGH_RESOURCES', `${player.name} does not hold those cards`);
+        }
         
-        this.diceResult = { die1, die2, total };
-        this.hasRolledDice = true;
-        this.canBuild = true;
-        this.canTrade = true;
+        // Every given resource must be an exact multiple of its ratio
+        let conversions = 0;
+        for (let [resource, amount] of Object.entries(give)) {
+            const ratio = player.tradeRatios[resource];
+            if (amount % ratio !== 0) {
+                return this.reject('INVALID_RATIO', `${resource} trades at ${ratio}:1`);
+            }
+            conversions += amount / ratio;
+        }
         
-        this.logEvent(`${this.getCurrentPlayer().name} rolled ${total} (${die1}, ${die2})`);
+        const requested = Object.values(receive).reduce((sum, amount) => sum + amount, 0);
+        if (requested !== conversions) {
+            return this.reject('INVALID_RATIO', `Giving that buys ${conversions} cards, not ${requested}`);
+        }
         
-        if (total === 7) {
-            this.handleRobberRoll();
-        } else {
-            this.handleResourceProduction(total);
+        // The bank can only hand out cards it still has
+        for (let [resource, amount] of Object.entries(receive)) {
+            if (this.bank.getSupply(resource) < amount) {
+                return this.reject('BANK_SHORTAGE', `The bank is out of ${resource}`);
+            }
         }
         
-        return this.diceResult;
+        this.bank.collect(player, give);
+        this.bank.pay(player, receive);
+        
+        this.logEvent(`${player.name} traded ${this.formatResourceMap(give)} with the bank for ${this.formatResourceMap(receive)}`);
+        return this.success({ give: { ...give }, receive: { ...receive } });
     }
     
     /**
-     * Handle robber roll (7)
+     * Check that give/receive are non-empty maps of positive whole resource amounts
+     * Any card type the bank holds can be traded (Cities & Knights adds commodities)
      */
-    handleRobberRoll() {
-        // Players with >7 cards discard half
-        this.players.forEach(player => {
-            if (player.getTotalResources() > 7) {
-                const discarded = player.discardHalf();
-                this.logEvent(`${player.name} discarded ${discarded.length} cards`);
-            }
-        });
+    isValidTradeMaps(give, receive) {
+        const resourceTypes = Object.keys(this.bank.resources);
+        const isValidMap = map => map &&
+            Object.keys(map).length > 0 &&
+            Object.entries(map).every(([resource, amount]) =>
+                resourceTypes.includes(resource) && Number.isInteger(amount) && amount > 0
+            );
         
-        // Current player must move robber (handled by UI)
-        this.logEvent('Robber activated - move robber and steal');
+        if (!isValidMap(give) || !isValidMap(receive)) {
+            return false;
+        }
+        
+        // Trading a resource for itself is meaningless
+        return !Object.keys(give).some(resource => receive.hasOwnProperty(resource));
     }
     
     /**
-     * Handle resource production for dice roll
+     * Utility: format a resource map for the event log
      */
-    handleResourceProduction(diceRoll) {
-        const producingHexes = this.board.getProducingHexes(diceRoll);
-        
-        this.players.forEach(player => {
-            const collected = player.collectFromDiceRoll(diceRoll);
-            if (collected.length > 0) {
-                this.logEvent(`${player.name} collected: ${collected.join(', ')}`);
-            }
-        });
+    formatResourceMap(map) {
+        return Object.entries(map).map(([resource, amount]) => `${amount} ${resource}`).join(', ');
     }
     
     /**
-     * End current player's turn
+     * Utility: shuffle array (with the game's seeded generator)
      */
-    endTurn() {
-        if (this.gamePhase === 'setup') {
-            this.endSetupTurn();
-        } else if (this.gamePhase === 'playing') {
-            this.endNormalTurn();
-        }
-        
-        // Check for winner
-        this.checkWinCondition();
+    shuffleArray(array) {
+        return this.random.shuffle(array);
     }
     
     /**
-     * End turn during setup phase
+     * Move robber to a new hex (must be a different hex)
      */
-    endSetupTurn() {
-        // Move to next player
-        this.currentPlayerIndex += this.setupDirection;
+    moveRobber(hex) {
+        const rejection = this.validateAction('moveRobber');
+        if (rejection) return rejection;
         
-        // Check if we need to reverse direction or end setup
-        if (this.setupDirection === 1 && this.currentPlayerIndex >= this.players.length) {
-            if (this.setupRound === 1) {
-                // Start round 2 in reverse
-                this.setupRound = 2;
-                this.setupDirection = -1;
-                this.currentPlayerIndex = this.players.length - 1;
-            } else {
-                // Setup complete
-                this.gamePhase = 'playing';
-                this.currentPlayerIndex = 0;
-                this.logEvent('Setup complete - Game begins!');
-            }
-        } else if (this.setupDirection === -1 && this.currentPlayerIndex < 0) {
-            // Setup complete
-            this.gamePhase = 'playing';
-            this.currentPlayerIndex = 0;
-            this.logEvent('Setup complete - Game begins!');
+        if (!hex) {
+            return this.reject('INVALID_ARGUMENTS', 'No hex given');
         }
+        
+        if (hex === this.board.robber.hex) {
+            return this.reject('SAME_HEX', 'The robber must move to a different hex');
+        }
+        
+        if (hex.isSea()) {
+            return this.reject('INVALID_LOCATION', 'The robber must move to a land hex');
+        }
+        
+        if (this.isProtectedHex(hex)) {
+            return this.reject('PROTECTED_HEX', 'The friendly robber cannot block only protected players');
+        }
+        
+        this.board.robber.moveTo(hex);
+        this.logEvent(`Robber moved to ${hex.terrain}`);
+        
+        return this.success({ hex, victims: this.setRobberVictims(this.board.robber.getAdjacentPlayers()) });
     }
     
     /**
-     * End turn during normal play
+     * Move the pirate to a sea hex instead of moving the robber (Seafarers boards only)
+     * Players with ships beside it can be robbed, and ships there cannot be built or moved
      */
-    endNormalTurn() {
-        // Reset turn state
-        this.hasRolledDice = false;
-        this.diceResult = null;
-        this.canBuild = false;
-        this.canTrade = false;
+    movePirate(hex) {
+        const rejection = this.validateAction('movePirate');
+        if (rejection) return rejection;
         
-        // Move to next player
-        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-        this.turnNumber++;
+        if (!this.board.seafarers) {
+            return this.reject('NOT_SEAFARERS', 'The pirate is only used on Seafarers boards');
+        }
         
-        this.logEvent(`Turn ${this.turnNumber} - ${this.getCurrentPlayer().name}'s turn`);
+        if (!hex) {
+            return this.reject('INVALID_ARGUMENTS', 'No hex given');
+        }
+        
+        if (hex === this.board.pirate.hex) {
+            return this.reject('SAME_HEX', 'The pirate must move to a different hex');
+        }
+        
+        if (!hex.isSea()) {
+            return this.reject('INVALID_LOCATION', 'The pirate must move to a sea hex');
+        }
+        
+        this.board.pirate.moveTo(hex);
+        this.logEvent(`Pirate moved to ${hex.id}`);
+        
+        return this.success({ hex, victims: this.setRobberVictims(this.board.pirate.getAdjacentPlayers()) });
     }
     
     /**
-     * Check if any player has won
+     * Friendly robber: whether a player shows rules.friendlyRobberPoints or less
+     * (public points only, hidden victory point cards do not count)
      */
-    checkWinCondition() {
-        for (let player of this.players) {
-            player.updateVictoryPoints();
-            if (player.victoryPoints >= this.targetVictoryPoints) {
-                this.winner = player;
-                this.gamePhase = 'finished';
-                this.logEvent(`${player.name} wins with ${player.victoryPoints} victory points!`);
-                return true;
+    isProtectedFromRobber(player) {
+        return this.rules.friendlyRobber && player.getPublicVictoryPoints() <= this.rules.friendlyRobberPoints;
+    }
+    
+    /**
+     * Friendly robber: whether every building on a hex belongs to protected opponents
+     */
+    isProtectedHex(hex) {
+        if (!this.rules.friendlyRobber) return false;
+        
+        const player = this.getCurrentPlayer();
+        const owners = new Set();
+        hex.vertices.forEach(vertex => {
+            if (vertex && vertex.building && vertex.building.owner) {
+                owners.add(vertex.building.owner);
             }
+        });
+        return owners.size > 0 && Array.from(owners).every(owner => owner !== player && this.isProtectedFromRobber(owner));
+    }
+    
+    /**
+     * After the robber or pirate moves: opponents among the candidates who hold cards can be robbed
+     * (with the friendly robber rule, only those showing more than rules.friendlyRobberPoints)
+     * Returns the victims; with none the robber sequence ends here
+     */
+    setRobberVictims(candidates) {
+        const player = this.getCurrentPlayer();
+        this.robberVictims = candidates.filter(other => other !== player && other.getTotalResources() > 0);
+        
+        if (this.rules.friendlyRobber) {
+            const protectedPlayers = this.robberVictims.filter(other => this.isProtectedFromRobber(other));
+            protectedPlayers.forEach(other => {
+                this.logEvent(`Friendly robber: ${other.name} cannot be robbed`);
+            });
+            this.robberVictims = this.robberVictims.filter(other => !protectedPlayers.includes(other));
         }
-        return false;
+        
+        if (this.robberVictims.length > 0) {
+            this.turnState = 'robber-steal';
+        } else {
+            this.logEvent('Nobody to rob');
+            this.finishRobber();
+        }
+        return this.robberVictims.slice();
     }
     
     /**
-     * Move robber to a new hex
+     * Steal one random resource card from a player next to the robber
      */
-    moveRobber(hex) {
-        if (this.diceResult && this.diceResult.total === 7) {
-            this.board.robber.moveTo(hex);
-            this.logEvent(`Robber moved to ${hex.terrain}`);
-            return true;
+    stealFromPlayer(victim) {
+        const rejection = this.validateAction('stealFromPlayer');
+        if (rejection) return rejection;
+        
+        if (!this.robberVictims.includes(victim)) {
+            return this.reject('INVALID_VICTIM', 'That player cannot be robbed');
         }
-        return false;
+        
+        const cards = [];
+        for (let [resource, count] of Object.entries(victim.resources)) {
+            for (let i = 0; i < count; i++) {
+                cards.push(resource);
+            }
+        }
+        
+        const resource = this.random.pick(cards);
+        const thief = this.getCurrentPlayer();
+        victim.removeResources(resource, 1);
+        thief.addResources(resource, 1);
+        
+        // The stolen card type is only known to the two players involved
+        this.logEvent(`${thief.name} stole a card from ${victim.name}`);
+        this.finishRobber();
+        
+        return this.success({ resource, victim });
     }
     
     /**
@@ -335,13 +1844,21 @@ class Game {
     getGameState() {
         return {
             phase: this.gamePhase,
+            turnState: this.turnState,
             currentPlayer: this.getCurrentPlayer()?.name,
+            specialBuilder: this.turnState === 'special-build' ? this.getActivePlayer().name : null,
             turnNumber: this.turnNumber,
             playerCount: this.players.length,
             hasRolledDice: this.hasRolledDice,
             diceResult: this.diceResult,
-            canBuild: this.canBuild,
-            canTrade: this.canTrade,
+            pendingDiscards: Array.from(this.pendingDiscards.entries()).map(([p, count]) => `${p.name}: ${count}`),
+            pendingGoldPicks: Array.from(this.pendingGoldPicks.entries()).map(([p, count]) => `${p.name}: ${count}`),
+            hasPlayedDevelopmentCard: this.hasPlayedDevelopmentCard,
+            developmentCardsLeft: this.bank.getDevelopmentCardsLeft(),
+            bank: { ...this.bank.resources },
+            openTradeOffers: this.getOpenTradeOffers().length,
+            longestRoad: this.longestRoadHolder?.name || null,
+            largestArmy: this.largestArmyHolder?.name || null,
             winner: this.winner?.name,
             setupRound: this.setupRound,
             setupDirection: this.setupDirection
@@ -364,6 +1881,7 @@ class Game {
             id: this.id,
             gameState: this.getGameState(),
             board: this.board.getStats(),
+            bank: this.bank.getDebugInfo(),
             players: this.players.map(p => ({
                 name: p.name,
                 color: p.color,
@@ -372,27 +1890,139 @@ class Game {
             })),
             recentEvents: this.eventLog.slice(-5).map(e => e.message),
             settings: {
+                seed: this.random.seed,
+                ...this.rules.getSettings(),
                 targetVictoryPoints: this.targetVictoryPoints,
-                maxPlayers: this.maxPlayers
-            }
+                maxPlayers: this.maxPlayers,
+                specialBuildPhase: this.specialBuildPhase,
+                seafarers: this.board.seafarers,
+                citiesAndKnights: !!this.citiesAndKnights,
+                rollSource: this.rollSource.constructor.name
+            },
+            rollSource: this.rollSource.getDebugInfo ? this.rollSource.getDebugInfo() : null,
+            citiesAndKnights: this.citiesAndKnights ? this.citiesAndKnights.getDebugInfo() : null
         };
     }
 }
 
+/**
+ * Points to win when neither the rules, the scenario nor a rule module set a target
+ */
+Game.DEFAULT_VICTORY_POINTS = 10;
+
+/**
+ * Re-rolls allowed for a 7 under the noSevensRounds house rule before the 7 stands
+ */
+Game.MAX_REROLLS = 20;
+
+/**
+ * Turn states, in the order a turn normally moves through them
+ */
+Game.TURN_STATES = [
+    'setup-settlement', // Setup: place a free settlement
+    'setup-road',       // Setup: place a free road
+    'pre-roll',         // Roll the dice (or play a knight first)
+    'gold-choice',      // Owners of producing gold fields (and Cities & Knights aqueducts) pick resources
+    'discard',          // After a 7: players over the limit choose discards
+    'robber-move',      // Move the robber to a new hex
+    'robber-steal',     // Pick a victim next to the robber
+    'main',             // Build, trade, buy and play cards, end the turn
+    'special-build',    // 5-6 players: the others build in turn before the next turn starts
+    'game-over'
+];
+
+/**
+ * Which turn states allow each public action (each game copies this into game.actionStates)
+ */
+Game.ACTION_STATES = {
+    placeSettlement: ['setup-settlement', 'main', 'special-build'],
+    placeRoad: ['setup-road', 'main', 'special-build'],
+    buildShip: ['setup-road', 'main', 'special-build'],
+    moveShip: ['main'],
+    buildCity: ['main', 'special-build'],
+    rollDice: ['pre-roll'],
+    endTurn: ['main'],
+    endSpecialBuild: ['special-build'],
+    buyDevelopmentCard: ['main', 'special-build'],
+    playDevelopmentCard: ['pre-roll', 'main'],
+    proposeTrade: ['main'],
+    respondToTrade: ['main'],
+    confirmTrade: ['main'],
+    cancelTrade: ['main'],
+    tradeWithBank: ['main'],
+    submitDiscard: ['discard'],
+    chooseGoldResources: ['gold-choice'],
+    moveRobber: ['robber-move'],
+    movePirate: ['robber-move'],
+    stealFromPlayer: ['robber-steal']
+};
+
+/**
+ * Hooks rule modules can add to with game.addHook(name, hook):
+ *   addPlayer(player)          - a player joined the game
+ *   setupSettlement(player, vertex, setupRound) - setup settlement placed, before round 2 collects
+ *   rollDice(diceResult)       - dice rolled, before production or the robber
+ *   production(owed, diceRoll) - owed: Map Player -> {resource: amount}, before the bank pays out
+ * Victory points have their own hook list on each player (Player.victoryPointHooks)
+ */
+Game.HOOKS = ['addPlayer', 'setupSettlement', 'rollDice', 'production'];
+
+/**
+ * Actions taken by players other than the current one
+ */
+Game.ANY_PLAYER_ACTIONS = ['submitDiscard', 'chooseGoldResources', 'respondToTrade'];
+
 /**
  * Simple Dice class
  */
 class Dice {
-    constructor() {
+    constructor(random = null) {
+        this.random = random || new Random();
         this.lastRoll = null;
     }
     
     roll() {
-        this.lastRoll = Math.floor(Math.random() * 6) + 1;
+        this.lastRoll = this.random.nextInt(6) + 1;
         return this.lastRoll;
     }
     
     toString() {
         return `Dice(${this.lastRoll || '?'})`;
     }
+}
+
+/**
+ * DiceRollSource - The default roll source: the game's two dice
+ * Other sources (EventDeck) have the same roll() so Game.rollDice can use either
+ */
+class DiceRollSource {
+    constructor(dice) {
+        this.dice = dice;
+    }
+    
+    /**
+     * Roll both dice. Returns { die1, die2, total }
+     */
+    roll() {
+        const die1 = this.dice[0].roll();
+        const die2 = this.dice[1].roll();
+        return { die1, die2, total: die1 + die2 };
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        return `DiceRollSource(${this.dice.map(die => die.toString()).join(', ')})`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return {
+            type: 'dice',
+            lastRolls: this.dice.map(die => die.lastRoll)
+        };
+    }
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
 class GamePiece {
     constructor(owner, type) {
         this.owner = owner; // Player object
-        this.type = type; // 'settlement', 'city', 'road', 'robber'
+        this.type = type; // 'settlement', 'city', 'road', 'ship', 'knight', 'robber', 'pirate'
         this.id = `${type}_${owner ? owner.id : 'neutral'}_${GamePiece.nextId++}`;
         
         // 3D rendering reference
@@ -24,8 +24,14 @@ class GamePiece {
                 this.placedAt.building = null;
             } else if (this.type === 'road') {
                 this.placedAt.road = null;
+            } else if (this.type === 'ship') {
+                this.placedAt.ship = null;
+            } else if (this.type === 'knight') {
+                this.placedAt.knight = null;
             } else if (this.type === 'robber') {
                 this.placedAt.hasRobber = false;
+            } else if (this.type === 'pirate') {
+                this.placedAt.hasPirate = false;
             }
             this.placedAt = null;
         }
@@ -78,14 +84,15 @@ class Settlement extends GamePiece {
     }
     
     /**
-     * Collect resources when a number is rolled
+     * Collect resources when a number is rolled ('gold' for each gold field)
      */
     collectResources(diceRoll) {
         const resources = [];
         if (this.vertex) {
             for (let hex of this.vertex.hexes) {
                 if (hex.shouldProduce(diceRoll)) {
-                    const resourceType = hex.getResourceType();
+                    // Gold fields owe a resource of the owner's choice
+                    const resourceType = hex.isGold() ? 'gold' : hex.getResourceType();
                     if (resourceType) {
                         resources.push(resourceType);
                     }
@@ -116,6 +123,7 @@ class City extends GamePiece {
         this.victoryPoints = 2;
         this.resourceMultiplier = 2;
         this.vertex = null; // Vertex where this city is placed
+        this.metropolis = null; // Cities & Knights: improvement track of the metropolis built on it
     }
     
     /**
@@ -146,7 +154,7 @@ class City extends GamePiece {
         if (this.vertex) {
             for (let hex of this.vertex.hexes) {
                 if (hex.shouldProduce(diceRoll)) {
-                    const resourceType = hex.getResourceType();
+                    const resourceType = hex.isGold() ? 'gold' : hex.getResourceType();
                     if (resourceType) {
                         // Cities produce 2 of each resource
                         resources.push(resourceType, resourceType);
@@ -158,7 +166,8 @@ class City extends GamePiece {
     }
     
     toString() {
-        return `City(${this.owner.color}) at ${this.vertex ? this.vertex.id : 'unplaced'}`;
+        const metropolis = this.metropolis ? ` [${this.metropolis} metropolis]` : '';
+        return `City(${this.owner.color}) at ${this.vertex ? this.vertex.id : 'unplaced'}${metropolis}`;
     }
 }
 
@@ -209,6 +218,99 @@ class Road extends GamePiece {
     }
 }
 
+/**
+ * Ship - Seafarers counterpart of the road: sails along sea edges and counts for the longest trade route
+ */
+class Ship extends GamePiece {
+    constructor(owner) {
+        super(owner, 'ship');
+        this.edge = null; // Edge where this ship is placed
+    }
+    
+    /**
+     * Place this ship on an edge
+     */
+    placeOn(edge) {
+        if (edge.placeShip(this)) {
+            this.edge = edge;
+            this.placedAt = edge;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Check if this ship is the open end of a shipping route: one of its ends has
+     * neither the owner's building nor another of the owner's ships (only these may move)
+     */
+    isOpenEnd() {
+        if (!this.edge) return false;
+        
+        return this.edge.vertices.some(vertex => {
+            if (vertex.building && vertex.building.owner === this.owner) return false;
+            return !vertex.edges.some(edge => edge !== this.edge && edge.ship && edge.ship.owner === this.owner);
+        });
+    }
+    
+    /**
+     * Get vertices connected by this ship
+     */
+    getConnectedVertices() {
+        return this.edge ? this.edge.getVertices() : [];
+    }
+    
+    toString() {
+        return `Ship(${this.owner.color}) at ${this.edge ? this.edge.id : 'unplaced'}`;
+    }
+}
+
+/**
+ * Knight - Cities & Knights defender on a vertex: strength 1-3 (basic, strong, mighty),
+ * only active knights count against the barbarians
+ */
+class Knight extends GamePiece {
+    constructor(owner) {
+        super(owner, 'knight');
+        this.vertex = null; // Vertex where this knight stands
+        this.strength = 1;
+        this.active = false;
+        this.promotedTurn = null; // Turn of the last promotion, at most one per turn
+    }
+    
+    /**
+     * Place this knight on a vertex
+     */
+    placeOn(vertex) {
+        if (vertex.placeKnight(this)) {
+            this.vertex = vertex;
+            this.placedAt = vertex;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Strength this knight adds against the barbarians (0 while inactive)
+     */
+    getDefense() {
+        return this.active ? this.strength : 0;
+    }
+    
+    toString() {
+        const state = this.active ? 'active' : 'inactive';
+        return `Knight(${this.owner.color} ${this.strength}, ${state}) at ${this.vertex ? this.vertex.id : 'unplaced'}`;
+    }
+    
+    getDebugInfo() {
+        const baseInfo = super.getDebugInfo();
+        return {
+            ...baseInfo,
+            strength: this.strength,
+            active: this.active
+        };
+    }
+}
+
 /**
  * Robber - Blocks resource production, enables stealing
  */
@@ -270,4 +372,63 @@ class Robber extends GamePiece {
             isBlocking: this.hex ? true : false
         };
     }
+}
+
+/**
+ * Pirate - The robber of the sea (Seafarers): blocks ships on the sides of its hex, enables stealing
+ */
+class Pirate extends GamePiece {
+    constructor() {
+        super(null, 'pirate'); // No owner
+        this.hex = null; // Sea hex where the pirate is, null until it first moves
+    }
+    
+    /**
+     * Move the pirate to a new sea hex
+     */
+    moveTo(hex) {
+        if (this.hex) {
+            this.hex.hasPirate = false;
+        }
+        
+        this.hex = hex;
+        this.placedAt = hex;
+        if (hex) {
+            hex.hasPirate = true;
+        }
+    }
+    
+    /**
+     * Get all players with ships on the sides of the pirate's hex
+     */
+    getAdjacentPlayers() {
+        if (!this.hex) return [];
+        
+        const players = new Set();
+        for (let edge of this.hex.edges) {
+            if (edge.ship) {
+                players.add(edge.ship.owner);
+            }
+        }
+        return Array.from(players);
+    }
+    
+    /**
+     * Check if the pirate blocks ships on an edge
+     */
+    isBlocking(edge) {
+        return !!this.hex && edge.hexes.includes(this.hex);
+    }
+    
+    toString() {
+        return `Pirate at ${this.hex ? this.hex.id : 'unplaced'}`;
+    }
+    
+    getDebugInfo() {
+        const baseInfo = super.getDebugInfo();
+        return {
+            ...baseInfo,
+            adjacentPlayers: this.getAdjacentPlayers().map(p => p.color)
+        };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * GameRules - House rules for a Game, passed as new Game(rules)
+ * Takes the known keys of any object (GameRules.DEFAULTS), so new Game({ seed, targetVictoryPoints: 12 })
+ * works as well as new Game(new GameRules({ ... })). A value that fails its check keeps the default
+ * and is reported by validate().
+ */
+class GameRules {
+    constructor(overrides = {}) {
+        this.errors = [];
+        
+        for (let [key, defaultValue] of Object.entries(GameRules.DEFAULTS)) {
+            const value = overrides[key];
+            if (value === undefined) {
+                this[key] = defaultValue;
+            } else if (GameRules.CHECKS[key](value)) {
+                this[key] = value;
+            } else {
+                this[key] = defaultValue;
+                this.errors.push(`Rule ${key} cannot be ${JSON.stringify(value)}, using ${JSON.stringify(defaultValue)}`);
+            }
+        }
+    }
+    
+    /**
+     * Report values that were refused. Returns { valid, errors }
+     */
+    validate() {
+        return { valid: this.errors.length === 0, errors: this.errors.slice() };
+    }
+    
+    /**
+     * Get the rule values as a plain object (for getDebugInfo().settings)
+     */
+    getSettings() {
+        const settings = {};
+        Object.keys(GameRules.DEFAULTS).forEach(key => {
+            settings[key] = this[key];
+        });
+        return settings;
+    }
+    
+    /**
+     * Debug representation: only the rules that differ from the defaults
+     */
+    toString() {
+        const changed = Object.keys(GameRules.DEFAULTS)
+            .filter(key => this[key] !== GameRules.DEFAULTS[key])
+            .map(key => `${key}=${this[key]}`);
+        return `GameRules(${changed.length > 0 ? changed.join(', ') : 'standard'})`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return {
+            ...this.getSettings(),
+            errors: this.errors.slice()
+        };
+    }
+}
+
+/**
+ * Rule defaults (the standard game)
+ */
+GameRules.DEFAULTS = {
+    targetVictoryPoints: null,  // Points to win; null plays to the rules' own target (10, scenarios and modules their own)
+    maxPlayers: 6,              // Seats, up to Player.COLORS.length
+    discardThreshold: 7,        // A 7 makes players holding more cards than this discard half
+    friendlyRobber: false,      // Players showing friendlyRobberPoints or less cannot be robbed, and the
+                                // robber cannot go where it would block only them (the pirate still can)
+    friendlyRobberPoints: 2,
+    noSevensRounds: 0,          // 7s are rerolled during the first N rounds
+    tradeBeforeRoll: false,     // Allow player and bank trades before rolling
+    handLimit: null             // Production never takes a hand past this many cards (null: no limit)
+};
+
+/**
+ * Check for each rule's value
+ */
+GameRules.CHECKS = {
+    targetVictoryPoints: value => value === null || (Number.isInteger(value) && value >= 3),
+    maxPlayers: value => Number.isInteger(value) && value >= 2 && value <= Player.COLORS.length,
+    discardThreshold: value => Number.isInteger(value) && value >= 0,
+    friendlyRobber: value => typeof value === 'boolean',
+    friendlyRobberPoints: value => Number.isInteger(value) && value >= 0,
+    noSevensRounds: value => Number.isInteger(value) && value >= 0,
+    tradeBeforeRoll: value => typeof value === 'boolean',
+    handLimit: value => value === null || (Number.isInteger(value) && value >= 0)
+};
+
+/**
+ * Trading actions opened up before the roll by tradeBeforeRoll
+ */
+GameRules.TRADE_ACTIONS = ['proposeTrade', 'respondToTrade', 'confirmTrade', 'cancelTrade', 'tradeWithBank'];
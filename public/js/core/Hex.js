@@ -10,9 +10,11 @@ class Hex {
         this.s = -q - r; // Derived coordinate for cube system
         
         // Game properties
-        this.terrain = terrain; // 'forest', 'hills', 'mountains', 'fields', 'pasture', 'desert', 'sea'
+        this.terrain = terrain; // 'forest', 'hills', 'mountains', 'fields', 'pasture', 'desert', 'gold', 'sea'
         this.numberToken = null; // NumberToken object
         this.hasRobber = false;
+        this.hasPirate = false; // Sea hexes only (Seafarers)
+        this.island = null; // Index of the land mass this hex belongs to, set by Board.markIslands
         
         // Relationships - will be populated by Board
         this.vertices = []; // 6 Vertex objects
@@ -26,6 +28,20 @@ class Hex {
         this.id = `hex_${q}_${r}`;
     }
     
+    /**
+     * Check if this is a sea hex (no buildings inland, no production, no robber)
+     */
+    isSea() {
+        return this.terrain === 'sea';
+    }
+    
+    /**
+     * Check if this is a gold field (Seafarers): pays a resource of the owner's choice
+     */
+    isGold() {
+        return this.terrain === 'gold';
+    }
+    
     /**
      * Check if this hex can produce resources (not desert or sea)
      */
@@ -34,7 +50,7 @@ class Hex {
     }
     
     /**
-     * Get the resource type this hex produces
+     * Get the resource type this hex produces (null for gold, which pays a chosen resource)
      */
     getResourceType() {
         const resourceMap = {
@@ -102,6 +118,8 @@ class Hex {
             terrain: this.terrain,
             numberToken: this.numberToken ? this.numberToken.value : null,
             hasRobber: this.hasRobber,
+            hasPirate: this.hasPirate,
+            island: this.island,
             canProduce: this.canProduceResources(),
             resourceType: this.getResourceType(),
             vertexCount: this.vertices.length,
@@ -109,4 +127,11 @@ class Hex {
             neighborCount: this.neighbors.length
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Known terrains, the ones that produce a fixed resource, and the ones that take a number token
+ */
+Hex.TERRAINS = ['forest', 'hills', 'mountains', 'fields', 'pasture', 'desert', 'gold', 'sea'];
+Hex.RESOURCE_TERRAINS = ['forest', 'hills', 'mountains', 'fields', 'pasture'];
+Hex.TOKEN_TERRAINS = [...Hex.RESOURCE_TERRAINS, 'gold'];
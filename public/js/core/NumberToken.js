@@ -138,6 +138,16 @@ class NumberToken {
     }
 }
 
+/**
+ * Numbers a token can show (no 7)
+ */
+NumberToken.VALUES = [2, 3, 4, 5, 6, 8, 9, 10, 11, 12];
+
+/**
+ * Values of the lettered tokens A-R, in the order the official spiral lays them out
+ */
+NumberToken.SPIRAL_ORDER = [5, 2, 6, 3, 8, 10, 9, 12, 11, 4, 8, 10, 9, 4, 5, 6, 3, 11];
+
 /**
  * Factory function to create the standard set of number tokens for Catan
  */
@@ -145,4 +155,12 @@ NumberToken.createStandardSet = function() {
     // Standard distribution: 2,3,3,4,4,5,5,6,6,8,8,9,9,10,10,11,11,12
     const values = [2, 3, 3, 4, 4, 5, 5, 6, 6, 8, 8, 9, 9, 10, 10, 11, 11, 12];
     return values.map(value => new NumberToken(value));
-};
\ No newline at end of file
+};
+/**
+ * Factory function to create the 28 number tokens of the 5-6 player extension
+ */
+NumberToken.createExtensionSet = function() {
+    // Standard set plus 2,3,4,5,6,8,9,10,11,12
+    const values = [2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 5, 6, 6, 6, 8, 8, 8, 9, 9, 9, 10, 10, 10, 11, 11, 11, 12, 12];
+    return values.map(value => new NumberToken(value));
+};
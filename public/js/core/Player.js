@@ -4,18 +4,20 @@
 class Player {
     constructor(color, name = null) {
         this.id = `player_${Player.nextId++}`;
-        this.color = color; // 'red', 'blue', 'orange', 'white'
+        this.color = color; // One of Player.COLORS
         this.name = name || `Player ${this.color}`;
         
         // Game pieces inventory
         this.settlements = []; // Settlement objects owned by player
         this.cities = []; // City objects owned by player  
         this.roads = []; // Road objects owned by player
+        this.ships = []; // Ship objects owned by player (Seafarers)
         
         // Remaining pieces to place
-        this.settlementsRemaining = 5;
-        this.citiesRemaining = 4;
-        this.roadsRemaining = 15;
+        this.settlementsRemaining = Player.PIECE_LIMITS.settlement;
+        this.citiesRemaining = Player.PIECE_LIMITS.city;
+        this.roadsRemaining = Player.PIECE_LIMITS.road;
+        this.shipsRemaining = Player.PIECE_LIMITS.ship;
         
         // Resources
         this.resources = {
@@ -35,12 +37,27 @@ class Player {
             victoryPoint: 0
         };
         
+        // Development cards bought this turn (not playable until next turn)
+        this.newDevelopmentCards = {
+            knight: 0,
+            roadBuilding: 0,
+            yearOfPlenty: 0,
+            monopoly: 0
+        };
+        
         // Game state
         this.victoryPoints = 0;
         this.knightsPlayed = 0;
         this.hasLongestRoad = false;
         this.hasLargestArmy = false;
         
+        // Scenario rewards such as settling a new island
+        this.bonusVictoryPoints = 0;
+        this.settledIslands = []; // Island numbers (Hex.island) of the player's settlements
+        
+        // Rule modules add functions player => points here (Cities & Knights metropolises and such)
+        this.victoryPointHooks = [];
+        
         // Trading state
         this.tradeRatios = {
             lumber: 4,
@@ -50,6 +67,9 @@ class Player {
             wool: 4
         };
         
+        // Bank that payments go back to - set by Game.addPlayer
+        this.bank = null;
+        
         // Turn state
         this.hasRolled = false;
         this.canBuild = true;
@@ -76,6 +96,15 @@ class Player {
         return false;
     }
     
+    /**
+     * Check if player holds at least the given resource map
+     */
+    hasResources(resourceMap) {
+        return Object.entries(resourceMap).every(([resource, amount]) =>
+            this.resources.hasOwnProperty(resource) && this.resources[resource] >= amount
+        );
+    }
+    
     /**
      * Get total number of resource cards
      */
@@ -87,38 +116,24 @@ class Player {
      * Check if player can afford to build something
      */
     canAfford(buildingType) {
-        const costs = {
-            road: { lumber: 1, brick: 1 },
-            settlement: { lumber: 1, brick: 1, wool: 1, grain: 1 },
-            city: { ore: 3, grain: 2 },
-            developmentCard: { ore: 1, wool: 1, grain: 1 }
-        };
-        
-        const cost = costs[buildingType];
+        const cost = Player.COSTS[buildingType];
         if (!cost) return false;
         
-        for (let [resource, amount] of Object.entries(cost)) {
-            if (this.resources[resource] < amount) {
-                return false;
-            }
-        }
-        return true;
+        return this.hasResources(cost);
     }
     
     /**
      * Pay resources for building something
+     * The cards go back to the bank when the player belongs to a game
      */
     payFor(buildingType) {
         if (!this.canAfford(buildingType)) return false;
         
-        const costs = {
-            road: { lumber: 1, brick: 1 },
-            settlement: { lumber: 1, brick: 1, wool: 1, grain: 1 },
-            city: { ore: 3, grain: 2 },
-            developmentCard: { ore: 1, wool: 1, grain: 1 }
-        };
+        const cost = Player.COSTS[buildingType];
+        if (this.bank) {
+            return this.bank.collect(this, cost);
+        }
         
-        const cost = costs[buildingType];
         for (let [resource, amount] of Object.entries(cost)) {
             this.removeResources(resource, amount);
         }
@@ -126,18 +141,19 @@ class Player {
     }
     
     /**
-     * Build a settlement
+     * Build a settlement (free settlements come from the setup phase)
      */
-    buildSettlement(vertex) {
-        if (!this.canAfford('settlement') || this.settlementsRemaining <= 0) {
+    buildSettlement(vertex, free = false) {
+        if ((!free && !this.canAfford('settlement')) || this.settlementsRemaining <= 0) {
             return null;
         }
         
         const settlement = new Settlement(this);
         if (settlement.placeOn(vertex)) {
-            this.payFor('settlement');
+            if (!free) this.payFor('settlement');
             this.settlements.push(settlement);
             this.settlementsRemaining--;
+            if (vertex.port) vertex.port.applyTo(this);
             this.updateVictoryPoints();
             return settlement;
         }
@@ -145,20 +161,21 @@ class Player {
     }
     
     /**
-     * Build a city (upgrade settlement)
+     * Build a city (upgrade settlement; free for the Cities & Knights setup city)
      */
-    buildCity(vertex) {
-        if (!this.canAfford('city') || this.citiesRemaining <= 0) {
+    buildCity(vertex, free = false) {
+        if ((!free && !this.canAfford('city')) || this.citiesRemaining <= 0) {
             return null;
         }
         
         const city = new City(this);
         const oldSettlement = city.placeOn(vertex);
         if (oldSettlement) {
-            this.payFor('city');
+            if (!free) this.payFor('city');
             this.cities.push(city);
             this.citiesRemaining--;
             this.settlementsRemaining++; // Settlement returns to supply
+            if (vertex.port) vertex.port.applyTo(this);
             
             // Remove old settlement from player's list
             const index = this.settlements.indexOf(oldSettlement);
@@ -173,16 +190,16 @@ class Player {
     }
     
     /**
-     * Build a road
+     * Build a road (free roads come from setup and the road building card)
      */
-    buildRoad(edge) {
-        if (!this.canAfford('road') || this.roadsRemaining <= 0) {
+    buildRoad(edge, free = false) {
+        if ((!free && !this.canAfford('road')) || this.roadsRemaining <= 0) {
             return null;
         }
         
         const road = new Road(this);
         if (road.placeOn(edge)) {
-            this.payFor('road');
+            if (!free) this.payFor('road');
             this.roads.push(road);
             this.roadsRemaining--;
             return road;
@@ -190,6 +207,63 @@ class Player {
         return null;
     }
     
+    /**
+     * Build a ship (Seafarers; free ships come from setup)
+     */
+    buildShip(edge, free = false) {
+        if ((!free && !this.canAfford('ship')) || this.shipsRemaining <= 0) {
+            return null;
+        }
+        
+        const ship = new Ship(this);
+        if (ship.placeOn(edge)) {
+            if (!free) this.payFor('ship');
+            this.ships.push(ship);
+            this.shipsRemaining--;
+            return ship;
+        }
+        return null;
+    }
+    
+    /**
+     * Add a freshly bought development card
+     * Victory point cards count immediately, others wait until next turn
+     */
+    addDevelopmentCard(type) {
+        if (type === 'victoryPoint') {
+            this.developmentCards.victoryPoint++;
+            this.updateVictoryPoints();
+        } else if (this.newDevelopmentCards.hasOwnProperty(type)) {
+            this.newDevelopmentCards[type]++;
+        }
+    }
+    
+    /**
+     * Move cards bought this turn into the playable hand
+     */
+    unlockNewDevelopmentCards() {
+        for (let type of Object.keys(this.newDevelopmentCards)) {
+            this.developmentCards[type] += this.newDevelopmentCards[type];
+            this.newDevelopmentCards[type] = 0;
+        }
+    }
+    
+    /**
+     * Check if a development card of this type can be played now
+     */
+    canPlayDevelopmentCard(type) {
+        return type !== 'victoryPoint' && this.developmentCards[type] > 0;
+    }
+    
+    /**
+     * Get total number of development cards held (including new ones)
+     */
+    getTotalDevelopmentCards() {
+        const held = Object.values(this.developmentCards).reduce((sum, count) => sum + count, 0);
+        const bought = Object.values(this.newDevelopmentCards).reduce((sum, count) => sum + count, 0);
+        return held + bought;
+    }
+    
     /**
      * Calculate and update victory points
      */
@@ -206,56 +280,61 @@ class Player {
         // Points from special achievements
         if (this.hasLongestRoad) points += 2;
         if (this.hasLargestArmy) points += 2;
+        points += this.bonusVictoryPoints;
+        
+        // Points from rule modules
+        this.victoryPointHooks.forEach(hook => {
+            points += hook(this);
+        });
         
         this.victoryPoints = points;
         return points;
     }
     
     /**
-     * Get longest road length for this player
+     * Victory points the other players can see (without hidden victory point cards)
+     */
+    getPublicVictoryPoints() {
+        return this.victoryPoints - this.developmentCards.victoryPoint;
+    }
+    
+    /**
+     * Get longest road length for this player (roads and ships together: the longest trade route)
      */
     getLongestRoadLength() {
         let maxLength = 0;
-        for (let road of this.roads) {
-            const length = road.getRoadNetworkLength();
+        for (let piece of [...this.roads, ...this.ships]) {
+            const length = piece.edge ? piece.edge.getRoadLength(this) : 0;
             maxLength = Math.max(maxLength, length);
         }
         return maxLength;
     }
     
     /**
-     * Collect resources from dice roll
+     * Get the resources owed to this player for a dice roll, as { resource: amount }
+     * Gold fields are owed as { gold: amount }, resources the player picks later
+     * Nothing is added here - Game pays it out of the bank
      */
-    collectFromDiceRoll(diceRoll) {
-        const collected = [];
+    getProduction(diceRoll) {
+        const owed = {};
         
-        // Collect from settlements
-        for (let settlement of this.settlements) {
-            const resources = settlement.collectResources(diceRoll);
-            for (let resource of resources) {
-                this.addResources(resource);
-                collected.push(resource);
+        // Settlements and cities
+        for (let building of [...this.settlements, ...this.cities]) {
+            for (let resource of building.collectResources(diceRoll)) {
+                owed[resource] = (owed[resource] || 0) + 1;
             }
         }
         
-        // Collect from cities
-        for (let city of this.cities) {
-            const resources = city.collectResources(diceRoll);
-            for (let resource of resources) {
-                this.addResources(resource);
-                collected.push(resource);
-            }
-        }
-        
-        return collected;
+        return owed;
     }
     
     /**
-     * Discard half resources (when robber is rolled)
+     * Discard half resources (when robber is rolled and the hand is over threshold cards)
+     * Automatic fallback for bots and timeouts; players normally choose via Game.submitDiscard
      */
-    discardHalf() {
+    discardHalf(threshold = 7) {
         const total = this.getTotalResources();
-        if (total <= 7) return [];
+        if (total <= threshold) return [];
         
         const toDiscard = Math.floor(total / 2);
         const discarded = [];
@@ -297,24 +376,29 @@ class Player {
             resources: { ...this.resources },
             totalResources: this.getTotalResources(),
             developmentCards: { ...this.developmentCards },
+            newDevelopmentCards: { ...this.newDevelopmentCards },
             pieces: {
                 settlements: this.settlements.length,
                 cities: this.cities.length,
-                roads: this.roads.length
+                roads: this.roads.length,
+                ships: this.ships.length
             },
             remaining: {
                 settlements: this.settlementsRemaining,
                 cities: this.citiesRemaining,
-                roads: this.roadsRemaining
+                roads: this.roadsRemaining,
+                ships: this.shipsRemaining
             },
             achievements: {
                 longestRoad: this.hasLongestRoad,
                 largestArmy: this.hasLargestArmy,
                 longestRoadLength: this.getLongestRoadLength(),
-                knightsPlayed: this.knightsPlayed
+                knightsPlayed: this.knightsPlayed,
+                bonusVictoryPoints: this.bonusVictoryPoints
             },
             canAfford: {
                 road: this.canAfford('road'),
+                ship: this.canAfford('ship'),
                 settlement: this.canAfford('settlement'),
                 city: this.canAfford('city'),
                 developmentCard: this.canAfford('developmentCard')
@@ -323,4 +407,30 @@ class Player {
     }
 }
 
-Player.nextId = 1;
\ No newline at end of file
+Player.nextId = 1;
+
+/**
+ * Player colors: the base game's four, then green and brown from the 5-6 player extension
+ */
+Player.COLORS = ['red', 'blue', 'orange', 'white', 'green', 'brown'];
+
+/**
+ * Pieces each player starts with
+ */
+Player.PIECE_LIMITS = {
+    settlement: 5,
+    city: 4,
+    road: 15,
+    ship: 15
+};
+
+/**
+ * Building costs
+ */
+Player.COSTS = {
+    road: { lumber: 1, brick: 1 },
+    ship: { lumber: 1, wool: 1 },
+    settlement: { lumber: 1, brick: 1, wool: 1, grain: 1 },
+    city: { ore: 3, grain: 2 },
+    developmentCard: { ore: 1, wool: 1, grain: 1 }
+};
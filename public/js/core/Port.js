@@ -0,0 +1,116 @@
+/**
+ * Port - Represents a harbor on a coastal edge
+ * Settlements and cities on either of its two vertices get a better bank trade ratio
+ */
+class Port {
+    constructor(type) {
+        this.type = type; // 'generic' (3:1) or a resource: 'lumber', 'brick', 'ore', 'grain', 'wool' (2:1)
+        this.ratio = type === 'generic' ? 3 : 2;
+        
+        // Placement - will be set by Board
+        this.hex = null; // Land hex the harbor faces
+        this.direction = null; // Side of that hex (0-5)
+        this.vertices = []; // The 2 coastal vertices that can use this harbor
+        
+        // 3D rendering reference
+        this.mesh = null;
+        
+        // Debug info
+        this.id = `port_${type}_${Port.nextId++}`;
+    }
+    
+    /**
+     * Check if this is a generic 3:1 harbor
+     */
+    isGeneric() {
+        return this.type === 'generic';
+    }
+    
+    /**
+     * Place this port on a coastal side of a hex
+     */
+    placeOn(hex, direction, vertices) {
+        this.removeFromBoard();
+        
+        this.hex = hex;
+        this.direction = direction;
+        this.vertices = vertices.slice();
+        this.vertices.forEach(vertex => {
+            vertex.port = this;
+        });
+    }
+    
+    /**
+     * Remove this port from the board
+     */
+    removeFromBoard() {
+        this.vertices.forEach(vertex => {
+            if (vertex.port === this) {
+                vertex.port = null;
+            }
+        });
+        this.hex = null;
+        this.direction = null;
+        this.vertices = [];
+    }
+    
+    /**
+     * Improve a player's trade ratios with this harbor
+     */
+    applyTo(player) {
+        if (this.isGeneric()) {
+            for (let resource of Object.keys(player.tradeRatios)) {
+                player.tradeRatios[resource] = Math.min(player.tradeRatios[resource], this.ratio);
+            }
+        } else if (player.tradeRatios.hasOwnProperty(this.type)) {
+            player.tradeRatios[this.type] = Math.min(player.tradeRatios[this.type], this.ratio);
+        }
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        const location = this.hex ? ` at ${this.hex.id}:${this.direction}` : '';
+        return `Port(${this.type} ${this.ratio}:1)${location}`;
+    }
+    
+    /**
+     * Get object for debugging/inspection
+     */
+    getDebugInfo() {
+        return {
+            id: this.id,
+            type: this.type,
+            ratio: this.ratio,
+            hex: this.hex ? this.hex.id : null,
+            direction: this.direction,
+            vertices: this.vertices.map(v => v.id)
+        };
+    }
+}
+
+Port.nextId = 1;
+
+/**
+ * Harbor types: generic 3:1, or 2:1 for one resource
+ */
+Port.TYPES = ['generic', 'lumber', 'brick', 'ore', 'grain', 'wool'];
+
+/**
+ * Factory function to create the standard set of harbors, in official clockwise order
+ */
+Port.createStandardSet = function() {
+    // 4 generic 3:1 harbors and one 2:1 harbor per resource
+    const types = ['generic', 'grain', 'ore', 'generic', 'wool', 'generic', 'generic', 'brick', 'lumber'];
+    return types.map(type => new Port(type));
+};
+
+/**
+ * Factory function to create the 11 harbors of the 5-6 player extension, in clockwise order
+ */
+Port.createExtensionSet = function() {
+    // Standard set plus one generic 3:1 and a second wool 2:1 harbor
+    const types = ['generic', 'grain', 'ore', 'generic', 'wool', 'generic', 'wool', 'generic', 'brick', 'generic', 'lumber'];
+    return types.map(type => new Port(type));
+};
@@ -0,0 +1,88 @@
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ * One instance is shared by a Game's board, dice, deck and robber so a seed replays the whole game
+ */
+class Random {
+    constructor(seed = null) {
+        // Without a seed pick one, so every game still has a seed to report
+        this.seed = seed === null || seed === undefined
+            ? Math.floor(Math.random() * 4294967296)
+            : Random.hashSeed(seed);
+        this.state = this.seed;
+        this.calls = 0;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.calls++;
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Pick a random element of an array (undefined if empty)
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+    
+    /**
+     * Return a shuffled copy of an array (Fisher-Yates)
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    /**
+     * Debug representation
+     */
+    toString() {
+        return `Random(seed ${this.seed}, ${this.calls} calls)`;
+    }
+    
+    /**
+     * Get comprehensive debug info
+     */
+    getDebugInfo() {
+        return {
+            seed: this.seed,
+            state: this.state,
+            calls: this.calls
+        };
+    }
+}
+
+/**
+ * Turn a number or string seed into a 32-bit unsigned integer
+ */
+Random.hashSeed = function(seed) {
+    // Numbers, and digit strings such as a reported seed pasted into ?seed=
+    if (typeof seed === 'number' || /^\d+$/.test(seed)) {
+        return Number(seed) >>> 0;
+    }
+    
+    // FNV-1a over the string form
+    let hash = 2166136261;
+    for (let char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
@@ -7,10 +7,11 @@ class Vertex {
         // Vertex coordinates - hex coordinates + direction (0-5)
         this.q = q;
         this.r = r; 
-        this.direction = direction; // 0=N, 1=NE, 2=SE, 3=S, 4=SW, 5=NW
+        this.direction = direction; // 0=N, 1=NE, 2=SE, 3=S, 4=SW, 5=NW (board vertices are canonical N or S)
         
         // Game state
         this.building = null; // Settlement or City object
+        this.knight = null; // Knight object (Cities & Knights)
         this.port = null; // Port object if this vertex has a harbor
         
         // Relationships - will be populated by Board
@@ -27,23 +28,38 @@ class Vertex {
     
     /**
      * Check if a settlement can be placed here
-     * Rules: No other building here, no buildings on adjacent vertices
+     * Rules: No other building or knight here, no buildings on adjacent vertices,
+     * and outside setup one of the player's roads or ships must touch it (requireRoad)
      */
-    canPlaceSettlement(player) {
-        // Already has a building
-        if (this.building) return false;
+    canPlaceSettlement(player, requireRoad = false) {
+        // Already has a building or knight, or open sea
+        if (this.building || this.knight || !this.isOnLand()) return false;
         
         // Check adjacent vertices for settlements (distance rule)
         for (let adjacentVertex of this.adjacentVertices) {
             if (adjacentVertex.building) return false;
         }
         
-        // In initial setup, must be adjacent to own road (except first 2 settlements)
-        // This will be handled by Game logic
+        // After setup, must be adjacent to own road or ship
+        if (requireRoad && !this.isConnectedToPlayer(player)) return false;
         
         return true;
     }
     
+    /**
+     * Check if any land hex meets at this vertex (corners out in the sea frame have none)
+     */
+    isOnLand() {
+        return this.hexes.some(hex => !hex.isSea());
+    }
+    
+    /**
+     * Check if this vertex is on the coastline: land on one side, sea or the board edge on another
+     */
+    isCoastal() {
+        return this.isOnLand() && (this.hexes.some(hex => hex.isSea()) || this.hexes.length < 3);
+    }
+    
     /**
      * Check if a city can be placed here (upgrade settlement)
      */
@@ -78,6 +94,25 @@ class Vertex {
         return null;
     }
     
+    /**
+     * Check if a knight can be placed here: empty land, touching one of the player's roads or ships
+     */
+    canPlaceKnight(player) {
+        return !this.building && !this.knight && this.isOnLand() && this.isConnectedToPlayer(player);
+    }
+    
+    /**
+     * Place a knight on this vertex
+     */
+    placeKnight(knight) {
+        if (this.canPlaceKnight(knight.owner)) {
+            this.knight = knight;
+            knight.vertex = this;
+            return true;
+        }
+        return false;
+    }
+    
     /**
      * Get all hexes that would produce resources for a building here
      */
@@ -86,21 +121,39 @@ class Vertex {
     }
     
     /**
-     * Check if this vertex is connected to a specific player's road network
+     * Check if this vertex is connected to a specific player's road network (or shipping route)
      */
     isConnectedToPlayer(player) {
         return this.edges.some(edge => 
-            edge.road && edge.road.owner === player
+            edge.getRoutePiece() && edge.getRoutePiece().owner === player
         );
     }
     
     /**
-     * Get adjacent vertices connected by roads of the same player
+     * Get the island this vertex is on (see Board.markIslands), or null out at sea
+     */
+    getIsland() {
+        const land = this.hexes.find(hex => !hex.isSea());
+        return land ? land.island : null;
+    }
+    
+    /**
+     * Check if an opponent's building or knight here cuts the player's roads through this vertex
+     * Shared by road placement and longest road so the two always agree
+     */
+    isBlockedFor(player) {
+        const piece = this.building || this.knight;
+        return !!piece && piece.owner !== player;
+    }
+    
+    /**
+     * Get adjacent vertices connected by roads or ships of the same player
      */
     getConnectedVertices(player) {
         const connected = [];
         for (let edge of this.edges) {
-            if (edge.road && edge.road.owner === player) {
+            const piece = edge.getRoutePiece();
+            if (piece && piece.owner === player) {
                 const otherVertex = edge.vertices.find(v => v !== this);
                 if (otherVertex) connected.push(otherVertex);
             }
@@ -112,15 +165,15 @@ class Vertex {
      * Convert to pixel coordinates for rendering
      */
     toPixelCoordinates(hexSize = 1) {
+        // Same pointy-top layout as Hex.toPixelCoordinates
         const hexPos = { 
-            x: hexSize * (3/2 * this.q), 
-            z: hexSize * (Math.sqrt(3)/2 * this.q + Math.sqrt(3) * this.r) 
+            x: hexSize * Math.sqrt(3) * (this.q + this.r / 2), 
+            z: hexSize * 3/2 * this.r 
         };
         
-        // Offset from hex center based on direction
-        const angles = [0, 60, 120, 180, 240, 300]; // degrees
-        const angle = angles[this.direction] * Math.PI / 180;
-        const radius = hexSize * Math.sqrt(3) / 2; // Distance from hex center to vertex
+        // Corner directions: 0=N, 1=NE, 2=SE, 3=S, 4=SW, 5=NW
+        const angle = (-90 + 60 * this.direction) * Math.PI / 180;
+        const radius = hexSize; // Distance from hex center to corner
         
         return {
             x: hexPos.x + radius * Math.cos(angle),
@@ -133,7 +186,8 @@ class Vertex {
      */
     toString() {
         const building = this.building ? `[${this.building.type}:${this.building.owner.color}]` : '';
-        return `Vertex(${this.q},${this.r}:${this.direction})${building}`;
+        const knight = this.knight ? `[knight${this.knight.strength}:${this.knight.owner.color}]` : '';
+        return `Vertex(${this.q},${this.r}:${this.direction})${building}${knight}`;
     }
     
     /**
@@ -147,10 +201,12 @@ class Vertex {
                 type: this.building.type,
                 owner: this.building.owner.color
             } : null,
+            knight: this.knight ? this.knight.getDebugInfo() : null,
             port: this.port ? this.port.type : null,
             hexCount: this.hexes.length,
             edgeCount: this.edges.length,
             adjacentVertexCount: this.adjacentVertices.length,
+            isCoastal: this.isCoastal(),
             canPlaceSettlement: this.canPlaceSettlement(),
             resourceHexes: this.getResourceHexes().map(h => h.terrain)
         };
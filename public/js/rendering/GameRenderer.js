@@ -10,6 +10,8 @@ class GameRenderer {
         // State tracking
         this.isRendering = false;
         this.lastRenderTime = 0;
+        this.selectedShip = null; // Ship picked to move, waiting for a destination edge
+        this.placingKnight = false; // Cities & Knights: the next vertex click builds a knight
         
         this.id = 'game_renderer';
     }
@@ -61,38 +63,50 @@ class GameRenderer {
     }
     
     /**
-     * Render all player pieces (settlements, cities, roads)
+     * Render all player pieces (settlements, cities, roads, ships, knights)
      */
     renderAllPlayerPieces() {
-        this.game.players.forEach((player, playerIndex) => {
+        this.game.players.forEach(player => {
             // Render settlements
             player.settlements.forEach(settlement => {
-                this.renderSettlement(settlement, playerIndex);
+                this.renderSettlement(settlement);
             });
             
             // Render cities
             player.cities.forEach(city => {
-                this.renderCity(city, playerIndex);
+                this.renderCity(city);
             });
             
             // Render roads
             player.roads.forEach(road => {
-                this.renderRoad(road, playerIndex);
+                this.renderRoad(road);
             });
+            
+            // Render ships
+            player.ships.forEach(ship => {
+                this.renderShip(ship);
+            });
+            
+            // Render knights
+            if (this.game.citiesAndKnights) {
+                this.game.citiesAndKnights.getKnights(player).forEach(knight => {
+                    this.renderKnight(knight);
+                });
+            }
         });
     }
     
     /**
      * Render a settlement
      */
-    renderSettlement(settlement, playerIndex) {
+    renderSettlement(settlement) {
         if (!settlement.vertex) return;
         
         const group = new THREE.Group();
         
         // Base
         const baseGeometry = this.renderer3d.geometries.get('settlement_base');
-        const baseMaterial = this.renderer3d.materials.get(`player_${playerIndex}`);
+        const baseMaterial = this.renderer3d.materials.get(`player_${settlement.owner.color}`);
         const base = new THREE.Mesh(baseGeometry, baseMaterial);
         base.position.y = 0.5;
         group.add(base);
@@ -120,21 +134,21 @@ class GameRenderer {
     /**
      * Render a city
      */
-    renderCity(city, playerIndex) {
+    renderCity(city) {
         if (!city.vertex) return;
         
         const group = new THREE.Group();
         
         // Main base
         const baseGeometry = this.renderer3d.geometries.get('city_base');
-        const baseMaterial = this.renderer3d.materials.get(`player_${playerIndex}`);
+        const baseMaterial = this.renderer3d.materials.get(`player_${city.owner.color}`);
         const base = new THREE.Mesh(baseGeometry, baseMaterial);
         base.position.y = 0.75;
         group.add(base);
         
         // Tower
         const towerGeometry = this.renderer3d.geometries.get('city_tower');
-        const towerMaterial = this.renderer3d.materials.get(`player_${playerIndex}`);
+        const towerMaterial = this.renderer3d.materials.get(`player_${city.owner.color}`);
         const tower = new THREE.Mesh(towerGeometry, towerMaterial);
         tower.position.set(0.5, 2, 0.5);
         group.add(tower);
@@ -146,6 +160,13 @@ class GameRenderer {
         spire.position.set(0.5, 3.3, 0.5);
         group.add(spire);
         
+        // Cities & Knights metropolis: a golden dome on the main building
+        if (city.metropolis) {
+            const dome = new THREE.Mesh(this.renderer3d.geometries.get('metropolis'), this.renderer3d.materials.get('metropolis'));
+            dome.position.set(-0.2, 1.5, -0.2);
+            group.add(dome);
+        }
+        
         // Position at vertex
         const pos = city.vertex.toPixelCoordinates(2);
         group.position.set(pos.x, 0, pos.z);
@@ -161,11 +182,11 @@ class GameRenderer {
     /**
      * Render a road
      */
-    renderRoad(road, playerIndex) {
+    renderRoad(road) {
         if (!road.edge) return;
         
         const geometry = this.renderer3d.geometries.get('road');
-        const material = this.renderer3d.materials.get(`player_${playerIndex}`);
+        const material = this.renderer3d.materials.get(`player_${road.owner.color}`);
         
         const mesh = new THREE.Mesh(geometry, material);
         
@@ -182,6 +203,72 @@ class GameRenderer {
         this.renderer3d.meshes.set(road.id, mesh);
     }
     
+    /**
+     * Render a ship
+     */
+    renderShip(ship) {
+        if (!ship.edge) return;
+        
+        const group = new THREE.Group();
+        
+        // Hull in the owner's color
+        const hullGeometry = this.renderer3d.geometries.get('ship_hull');
+        const hullMaterial = this.renderer3d.materials.get(`player_${ship.owner.color}`);
+        const hull = new THREE.Mesh(hullGeometry, hullMaterial);
+        hull.position.y = 0.2;
+        group.add(hull);
+        
+        // Sail
+        const sailGeometry = this.renderer3d.geometries.get('ship_sail');
+        const sailMaterial = this.renderer3d.materials.get('ship_sail');
+        const sail = new THREE.Mesh(sailGeometry, sailMaterial);
+        sail.position.y = 1;
+        group.add(sail);
+        
+        // Position and orient ship along edge
+        const edgePos = ship.edge.toPixelCoordinates(2);
+        group.position.set(edgePos.x, 0, edgePos.z);
+        group.rotation.y = edgePos.rotation || 0;
+        group.castShadow = true;
+        
+        group.userData = { gameObject: ship, type: 'ship' };
+        
+        this.renderer3d.scene.add(group);
+        this.renderer3d.meshes.set(ship.id, group);
+    }
+    
+    /**
+     * Render a knight: one shield per strength level, a gold helmet while active
+     */
+    renderKnight(knight) {
+        if (!knight.vertex) return;
+        
+        const group = new THREE.Group();
+        
+        const shieldGeometry = this.renderer3d.geometries.get('knight_shield');
+        const shieldMaterial = this.renderer3d.materials.get(`player_${knight.owner.color}`);
+        for (let level = 0; level < knight.strength; level++) {
+            const shield = new THREE.Mesh(shieldGeometry, shieldMaterial);
+            shield.position.y = 0.15 + level * 0.3;
+            group.add(shield);
+        }
+        
+        const helmetMaterial = this.renderer3d.materials.get(knight.active ? 'knight_active' : 'knight_inactive');
+        const helmet = new THREE.Mesh(this.renderer3d.geometries.get('knight_helmet'), helmetMaterial);
+        helmet.position.y = 0.3 + knight.strength * 0.3;
+        group.add(helmet);
+        
+        // Position at vertex
+        const pos = knight.vertex.toPixelCoordinates(2);
+        group.position.set(pos.x, 0, pos.z);
+        group.castShadow = true;
+        
+        group.userData = { gameObject: knight, type: 'knight' };
+        
+        this.renderer3d.scene.add(group);
+        this.renderer3d.meshes.set(knight.id, group);
+    }
+    
     /**
      * Setup event listeners for game changes
      */
@@ -215,63 +302,160 @@ class GameRenderer {
             case 'edge':
                 this.handleEdgeClick(gameObject);
                 break;
+            case 'ship':
+                this.handleShipClick(gameObject);
+                break;
+            case 'knight':
+                this.handleKnightClick(gameObject);
+                break;
             default:
                 console.log(`Clicked ${type}:`, gameObject.toString());
         }
     }
     
     /**
-     * Handle hex clicks (for robber movement)
+     * Handle hex clicks (for robber movement, or the pirate on a sea hex)
      */
     handleHexClick(hex) {
-        if (this.game.diceResult && this.game.diceResult.total === 7) {
-            const moved = this.game.moveRobber(hex);
-            if (moved) {
+        if (this.game.turnState === 'robber-move') {
+            const result = hex.isSea() && this.game.board.seafarers
+                ? this.game.movePirate(hex)
+                : this.game.moveRobber(hex);
+            if (result.ok) {
                 this.renderGame(); // Re-render to show robber movement
+            } else {
+                console.log(`Robber move refused: ${result.message}`);
             }
         }
     }
     
     /**
-     * Handle vertex clicks (for settlement/city placement)
+     * Handle vertex clicks (for settlement/city placement, or picking a robber victim)
      */
     handleVertexClick(vertex) {
-        if (this.game.gamePhase === 'setup' || this.game.canBuild) {
-            const currentPlayer = this.game.getCurrentPlayer();
-            
-            // Try to place settlement
-            if (vertex.canPlaceSettlement(currentPlayer)) {
-                const settlement = this.game.placeSettlement(vertex);
-                if (settlement) {
-                    this.renderGame(); // Re-render to show new settlement
-                }
+        if (this.game.turnState === 'robber-steal') {
+            if (vertex.building) {
+                this.game.stealFromPlayer(vertex.building.owner);
+            }
+            return;
+        }
+        
+        if (this.placingKnight) {
+            this.placingKnight = false;
+            const result = this.game.citiesAndKnights.buildKnight(vertex);
+            if (result.ok) {
+                this.renderGame(); // Re-render to show new knight
+            } else {
+                console.log(`Knight refused: ${result.message}`);
             }
-            // Try to upgrade to city
-            else if (vertex.canPlaceCity(currentPlayer)) {
-                const result = this.game.getCurrentPlayer().buildCity(vertex);
-                if (result) {
+            return;
+        }
+        
+        if (vertex.knight) {
+            this.handleKnightClick(vertex.knight);
+            return;
+        }
+        
+        const currentPlayer = this.game.getActivePlayer();
+        
+        // Try to upgrade to city
+        if (vertex.canPlaceCity(currentPlayer)) {
+            if (this.game.isActionAllowed('buildCity')) {
+                const result = this.game.buildCity(vertex);
+                if (result.ok) {
                     this.renderGame(); // Re-render to show new city
+                } else {
+                    console.log(`City refused: ${result.message}`);
                 }
             }
         }
+        // Try to place settlement
+        else if (this.game.isActionAllowed('placeSettlement')) {
+            const result = this.game.placeSettlement(vertex);
+            if (result.ok) {
+                this.renderGame(); // Re-render to show new settlement
+            } else {
+                console.log(`Settlement refused: ${result.message}`);
+            }
+        }
     }
     
     /**
-     * Handle edge clicks (for road placement)
+     * Handle edge clicks (for road or ship placement, or the destination of a selected ship)
      */
     handleEdgeClick(edge) {
-        if (this.game.gamePhase === 'setup' || this.game.canBuild) {
-            const currentPlayer = this.game.getCurrentPlayer();
-            
-            if (edge.canPlaceRoad(currentPlayer)) {
-                const road = this.game.placeRoad(edge);
-                if (road) {
-                    this.renderGame(); // Re-render to show new road
-                }
+        const currentPlayer = this.game.getActivePlayer();
+        
+        if (this.selectedShip) {
+            const result = this.game.moveShip(this.selectedShip.edge, edge);
+            this.selectedShip = null;
+            if (result.ok) {
+                this.renderGame(); // Re-render to show the ship in its new place
+            } else {
+                console.log(`Ship move refused: ${result.message}`);
+            }
+            return;
+        }
+        
+        if (this.game.isActionAllowed('placeRoad') && edge.canPlaceRoad(currentPlayer)) {
+            const result = this.game.placeRoad(edge);
+            if (result.ok) {
+                this.renderGame(); // Re-render to show new road
+            } else {
+                console.log(`Road refused: ${result.message}`);
+            }
+        }
+        // Coastal and sea edges take ships on Seafarers boards
+        else if (this.game.board.seafarers && this.game.isActionAllowed('buildShip') && edge.canPlaceShip(currentPlayer)) {
+            const result = this.game.buildShip(edge);
+            if (result.ok) {
+                this.renderGame(); // Re-render to show new ship
+            } else {
+                console.log(`Ship refused: ${result.message}`);
             }
         }
     }
     
+    /**
+     * Handle ship clicks (robbing its owner after the pirate moved, or picking a ship to move)
+     */
+    handleShipClick(ship) {
+        if (this.game.turnState === 'robber-steal') {
+            this.game.stealFromPlayer(ship.owner);
+            return;
+        }
+        
+        if (ship.owner === this.game.getCurrentPlayer() && this.game.isActionAllowed('moveShip')) {
+            this.selectedShip = ship;
+            console.log(`Selected ${ship.toString()} - click an edge to move it`);
+        }
+    }
+    
+    /**
+     * Make the next vertex click build a knight (Cities & Knights)
+     */
+    startKnightPlacement() {
+        if (!this.game.citiesAndKnights) return;
+        
+        this.placingKnight = true;
+        console.log('Click a vertex on your road network to place a knight');
+    }
+    
+    /**
+     * Handle knight clicks: activate the active player's inactive knight, or promote an active one
+     */
+    handleKnightClick(knight) {
+        const citiesAndKnights = this.game.citiesAndKnights;
+        if (!citiesAndKnights || knight.owner !== this.game.getActivePlayer()) return;
+        
+        const result = knight.active ? citiesAndKnights.promoteKnight(knight) : citiesAndKnights.activateKnight(knight);
+        if (result.ok) {
+            this.renderGame(); // Re-render to show the knight's new state
+        } else {
+            console.log(`Knight refused: ${result.message}`);
+        }
+    }
+    
     /**
      * Update rendering for specific game object
      */
@@ -254,12 +254,28 @@ class Renderer3D {
         const roadGeometry = new THREE.BoxGeometry(0.3, 0.2, 3);
         this.geometries.set('road', roadGeometry);
         
+        // Ship geometry (hull along the edge like a road, with a single sail)
+        this.geometries.set('ship_hull', new THREE.BoxGeometry(0.6, 0.4, 2));
+        this.geometries.set('ship_sail', new THREE.BoxGeometry(0.05, 1.2, 1));
+        
         // Robber geometry
         const robberGeometry = new THREE.CylinderGeometry(0.4, 0.6, 2, 8);
         // Rotate robber to stand upright in XY coordinate system
         robberGeometry.rotateX(Math.PI / 2);
         this.geometries.set('robber', robberGeometry);
         
+        // Pirate geometry: a dark, squat galleon
+        const pirateGeometry = new THREE.CylinderGeometry(0.3, 0.7, 1.2, 6);
+        pirateGeometry.rotateX(Math.PI / 2);
+        this.geometries.set('pirate', pirateGeometry);
+        
+        // Knight geometry (Cities & Knights): a round shield per strength level, and a helmet
+        this.geometries.set('knight_shield', new THREE.CylinderGeometry(0.45, 0.45, 0.25, 12));
+        this.geometries.set('knight_helmet', new THREE.SphereGeometry(0.3, 12, 8));
+        
+        // Metropolis dome on top of a city
+        this.geometries.set('metropolis', new THREE.SphereGeometry(0.5, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2));
+        
         // Number token geometry
         const tokenGeometry = new THREE.CylinderGeometry(0.8, 0.8, 0.1, 16);
         // Rotate to match hex orientation (flat in XY plane)
@@ -292,6 +308,12 @@ class Renderer3D {
         // DESERT - Harsh but navigable terrain
         this.createDesertTerrainGeometry();
         
+        // SEA - Open water around the island
+        this.createSeaGeometry();
+        
+        // GOLD - Rivers glinting with nuggets
+        this.createGoldFieldGeometry();
+        
         // HEX BOUNDARIES - Dirt paths connecting regions
         this.createHexBoundaryPaths();
     }
@@ -493,6 +515,17 @@ class Renderer3D {
         this.geometries.set('desert_palm_frond', palmFrond);
     }
     
+    createSeaGeometry() {
+        // Low wave crest catching the light
+        const wave = new THREE.TorusGeometry(0.35, 0.03, 4, 12, Math.PI / 2);
+        this.geometries.set('sea_wave', wave);
+    }
+    
+    createGoldFieldGeometry() {
+        // Small nuggets scattered along the river bed
+        this.geometries.set('gold_nugget', new THREE.DodecahedronGeometry(0.15));
+    }
+    
     createHexBoundaryPaths() {
         // Dirt road connecting hexes - where settlers would travel
         const roadSegment = new THREE.BoxGeometry(0.12, 3.8, 0.03);
@@ -521,15 +554,27 @@ class Renderer3D {
             this.materials.set(`terrain_${terrain}`, material);
         });
         
-        // Player materials (6 players)
-        const playerColors = [0xff0000, 0x0000ff, 0xffa500, 0xffffff, 0x00ff00, 0x800080]; // red, blue, orange, white, green, purple
-        playerColors.forEach((color, index) => {
-            const material = new THREE.MeshLambertMaterial({ color });
-            this.materials.set(`player_${index}`, material);
+        // Player materials (6 players), keyed by Player.COLORS name
+        const playerColors = {
+            red: 0xff0000,
+            blue: 0x0000ff,
+            orange: 0xffa500,
+            white: 0xffffff,
+            green: 0x2e8b3a,
+            brown: 0x7b4a24
+        };
+        Object.entries(playerColors).forEach(([color, hex]) => {
+            const material = new THREE.MeshLambertMaterial({ color: hex });
+            this.materials.set(`player_${color}`, material);
         });
         
         // Special materials
         this.materials.set('robber', new THREE.MeshLambertMaterial({ color: 0x2F2F2F }));
+        this.materials.set('pirate', new THREE.MeshLambertMaterial({ color: 0x111111 }));
+        this.materials.set('ship_sail', new THREE.MeshLambertMaterial({ color: 0xf5f5dc }));
+        this.materials.set('knight_active', new THREE.MeshLambertMaterial({ color: 0xFFD700 }));
+        this.materials.set('knight_inactive', new THREE.MeshLambertMaterial({ color: 0x808080 }));
+        this.materials.set('metropolis', new THREE.MeshLambertMaterial({ color: 0xFFD700 }));
         this.materials.set('token', new THREE.MeshLambertMaterial({ color: 0xffffff }));
         this.materials.set('roof', new THREE.MeshLambertMaterial({ color: 0x8B4513 }));
         
@@ -573,6 +618,12 @@ class Renderer3D {
         this.materials.set('desert_palm', new THREE.MeshStandardMaterial({ color: 0x8b4513, roughness: 0.8, metalness: 0.0 }));
         this.materials.set('desert_frond', new THREE.MeshStandardMaterial({ color: 0x228b22, roughness: 0.7, metalness: 0.0 }));
         
+        // Gold field materials
+        this.materials.set('gold_nugget', new THREE.MeshStandardMaterial({ color: 0xffd700, roughness: 0.3, metalness: 0.9 }));
+        
+        // Sea materials
+        this.materials.set('sea_foam', new THREE.MeshStandardMaterial({ color: 0xe0f0ff, roughness: 0.4, metalness: 0.0, transparent: true, opacity: 0.8 }));
+        
         // Road materials
         this.materials.set('road_dirt', new THREE.MeshStandardMaterial({ color: 0x8b7355, roughness: 0.95, metalness: 0.0 }));
         this.materials.set('road_stone', new THREE.MeshStandardMaterial({ color: 0x696969, roughness: 0.8, metalness: 0.0 }));
@@ -602,6 +653,12 @@ class Renderer3D {
         // Desert - sandy dunes with detail
         materials.desert = this.createAdvancedDesertMaterial();
         
+        // Gold field - river sand with a metallic sheen
+        materials.gold = this.createAdvancedGoldMaterial();
+        
+        // Sea - calm water framing the island
+        materials.sea = this.createAdvancedSeaMaterial();
+        
         return materials;
     }
     
@@ -764,6 +821,21 @@ class Renderer3D {
         return this.createSimplePBRMaterial('#8b6914', 0.7, 0.0, 'sandy desert');
     }
     
+    createAdvancedGoldMaterial() {
+        return this.createSimplePBRMaterial('#b8912f', 0.45, 0.5, 'gold field');
+    }
+    
+    createAdvancedSeaMaterial() {
+        return new THREE.MeshStandardMaterial({
+            color: new THREE.Color('#1f5f8b'),
+            roughness: 0.2,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.85,
+            envMapIntensity: 0.6
+        });
+    }
+    
     createSimplePBRMaterial(baseColor, roughness, metalness, type) {
         return new THREE.MeshStandardMaterial({
             color: new THREE.Color(baseColor),
@@ -802,6 +874,11 @@ class Renderer3D {
             this.renderRobber(board.robber);
         }
         
+        // Render pirate (Seafarers, once it has been placed)
+        if (board.pirate.hex) {
+            this.renderPirate(board.pirate);
+        }
+        
         // Render hex boundary roads for immersion
         this.renderHexBoundaries(board);
         
@@ -815,7 +892,11 @@ class Renderer3D {
         const processedEdges = new Set();
         
         board.hexes.forEach(hex => {
+            if (hex.isSea()) return;
+            
             hex.neighbors.forEach(neighbor => {
+                if (neighbor.isSea()) return;
+                
                 const edgeKey = [hex.id, neighbor.id].sort().join('-');
                 if (!processedEdges.has(edgeKey)) {
                     processedEdges.add(edgeKey);
@@ -866,9 +947,10 @@ class Renderer3D {
         const mesh = new THREE.Mesh(geometry, material);
         const pos = hex.toPixelCoordinates(2); // Scale for visibility
         
-        mesh.position.set(pos.x, pos.z, 0);
+        // Sea sits a little below the land so the coastline reads as a step
+        mesh.position.set(pos.x, pos.z, hex.isSea() ? -0.2 : 0);
         // Geometry is already rotated to lay flat
-        mesh.castShadow = true;
+        mesh.castShadow = !hex.isSea();
         mesh.receiveShadow = true;
         
         // Store reference to game object
@@ -906,6 +988,12 @@ class Renderer3D {
             case 'desert':
                 this.addDesertDetails(detailGroup);
                 break;
+            case 'gold':
+                this.addGoldDetails(detailGroup);
+                break;
+            case 'sea':
+                this.addSeaDetails(detailGroup);
+                break;
         }
         
         if (detailGroup.children.length > 0) {
@@ -1119,6 +1207,43 @@ class Renderer3D {
         }
     }
     
+    addGoldDetails(group) {
+        // Nuggets glinting in the river sand
+        const nuggetCount = 4 + Math.floor(Math.random() * 4);
+        for (let i = 0; i < nuggetCount; i++) {
+            const nugget = new THREE.Mesh(
+                this.geometries.get('gold_nugget'),
+                this.materials.get('gold_nugget')
+            );
+            nugget.position.set(
+                (Math.random() - 0.5) * 2.2,
+                (Math.random() - 0.5) * 2.2,
+                0.05
+            );
+            nugget.rotation.x = Math.random() * Math.PI;
+            nugget.rotation.y = Math.random() * Math.PI;
+            group.add(nugget);
+        }
+    }
+    
+    addSeaDetails(group) {
+        // A few wave crests drifting on the water
+        const waveCount = 2 + Math.floor(Math.random() * 3);
+        for (let i = 0; i < waveCount; i++) {
+            const wave = new THREE.Mesh(
+                this.geometries.get('sea_wave'),
+                this.materials.get('sea_foam')
+            );
+            wave.position.set(
+                (Math.random() - 0.5) * 2.4,
+                (Math.random() - 0.5) * 2.4,
+                -0.2
+            );
+            wave.rotation.z = Math.PI / 4 + (Math.random() - 0.5) * 0.4;
+            group.add(wave);
+        }
+    }
+    
     /**
      * Render a number token
      */
@@ -1193,6 +1318,25 @@ class Renderer3D {
         this.meshes.set(robber.id, mesh);
     }
     
+    /**
+     * Render the pirate on its sea hex
+     */
+    renderPirate(pirate) {
+        const geometry = this.geometries.get('pirate');
+        const material = this.materials.get('pirate');
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        const hexPos = pirate.hex.toPixelCoordinates(2);
+        
+        mesh.position.set(hexPos.x, hexPos.z, 0.5);
+        mesh.castShadow = true;
+        
+        mesh.userData = { gameObject: pirate, type: 'pirate' };
+        
+        this.scene.add(mesh);
+        this.meshes.set(pirate.id, mesh);
+    }
+    
     /**
      * Clear all board meshes
      */